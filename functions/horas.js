@@ -0,0 +1,9 @@
+// Horas "HH:mm" del horario del estudio y del horario de silencio de las notificaciones
+const minutosDelDia = (hora) => {
+    const [h, m] = hora.split(':').map(Number);
+    return h * 60 + m;
+};
+
+module.exports = {
+    minutosDelDia
+};
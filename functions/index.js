@@ -1,418 +1,4587 @@
 const functions = require("firebase-functions");
 const admin = require("firebase-admin");
-const { startOfDay, endOfDay, addDays, subMonths, subDays } = require("date-fns");
+const { startOfDay, endOfDay, addDays, subDays, subWeeks, subMonths, addHours, addMinutes, format, parseISO, eachDayOfInterval, eachWeekOfInterval, eachMonthOfInterval } = require("date-fns");
+const { TZDate } = require("@date-fns/tz");
+const path = require("path");
+const crypto = require("crypto");
+const sharp = require("sharp");
+const archiver = require("archiver");
 
 admin.initializeApp();
 const db = admin.firestore();
 const storage = admin.storage();
-const messaging = admin.messaging();
+const { TIPOS_NOTIFICACION, filtrarPorPreferencias, enviarPush, notificarUsuario, enviarPushDiferidos } = require("./notificaciones");
+const { minutosDelDia } = require("./horas");
 
-async function esAdministrador(uid) {
-    if (!uid) return false;
+const ROLES = ['propietario', 'admin', 'fotografo', 'recepcionista'];
+
+// Roles que tienen cada permiso; el propietario los tiene todos y es el único que administra roles
+const PERMISOS = {
+    catalogo: ['admin'],
+    precios: ['admin'],
+    configuracion: ['admin'],
+    campanas: ['admin'],
+    reportes: ['admin'],
+    mantenimiento: ['admin'],
+    eliminar_datos: ['admin'],
+    citas: ['admin', 'recepcionista'],
+    clientes: ['admin', 'recepcionista'],
+    pagos: ['admin', 'recepcionista'],
+    agenda: ['admin', 'recepcionista', 'fotografo'],
+    fotos: ['admin', 'fotografo'],
+    personal: ['admin'],
+    resenas: ['admin'],
+    roles: []
+};
+
+// Los roles viven en el custom claim "roles" del usuario de Auth
+const rolesDeClaims = (claims) => Array.isArray(claims?.roles) ? claims.roles.filter(r => ROLES.includes(r)) : [];
+
+const rolesPermiten = (roles, permiso) => roles.includes('propietario') || roles.some(r => PERMISOS[permiso].includes(r));
+
+const tienePermiso = (context, permiso) => !!context.auth && rolesPermiten(rolesDeClaims(context.auth.token), permiso);
+
+// Para cuando no hay token a mano (triggers o enlaces de calendario)
+async function rolesDeUsuario(uid) {
+    if (!uid) return [];
     try {
-        const doc = await db.collection('Admin').where('uidClient', '==', uid).get();
-        return !doc.empty;
+        const usuario = await admin.auth().getUser(uid);
+        return rolesDeClaims(usuario.customClaims);
     } catch (e) {
-        return false;
+        return [];
+    }
+}
+
+// Actualiza el claim y su copia en Roles/{uid}, que sirve para listar al equipo
+async function cambiarRoles(uid, calcular, actor) {
+    let usuario;
+    try {
+        usuario = await admin.auth().getUser(uid);
+    } catch (error) {
+        if (error.code === 'auth/user-not-found') throw new functions.https.HttpsError('not-found', 'Usuario no encontrado.');
+        throw error;
+    }
+
+    const roles = calcular(rolesDeClaims(usuario.customClaims));
+    await admin.auth().setCustomUserClaims(uid, { ...usuario.customClaims, roles });
+
+    const ref = db.collection('Roles').doc(uid);
+    if (roles.length) {
+        await ref.set({
+            uid,
+            email: usuario.email || "",
+            nombre: usuario.displayName || "",
+            roles,
+            actualizado_por: actor,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    } else {
+        await ref.delete();
+    }
+    return roles;
+}
+
+async function uidsConRoles(roles) {
+    const snap = await db.collection('Roles').where('roles', 'array-contains-any', roles).get();
+    return snap.docs.map(d => d.id);
+}
+
+// Arranque: mientras no haya propietario, un admin del esquema anterior (colección Admin) puede nombrarse propietario
+async function puedeNombrarPrimerPropietario(uid, uidDestino, rol) {
+    if (rol !== 'propietario' || uid !== uidDestino) return false;
+    const propietarios = await uidsConRoles(['propietario']);
+    if (propietarios.length) return false;
+    const legado = await db.collection('Admin').where('uidClient', '==', uid).limit(1).get();
+    return !legado.empty;
+}
+
+function validarCambioRol(data) {
+    validarTipo(data.uid, 'string', 'uid');
+    if (!ROLES.includes(data.rol)) throw new functions.https.HttpsError('invalid-argument', `El rol debe ser uno de: ${ROLES.join(', ')}.`);
+}
+
+const MAX_BYTES_IMAGEN = 15 * 1024 * 1024;
+const TAMANOS_VARIANTES = { thumb: 320, medium: 1280 };
+
+// escenarios/a.png -> { thumb: 'escenarios/variantes/a_thumb.jpg', medium: 'escenarios/variantes/a_medium.jpg' }
+function rutasVariantes(ruta) {
+    const { dir, name } = path.posix.parse(ruta);
+    return Object.fromEntries(Object.keys(TAMANOS_VARIANTES).map(t => [t, `${dir}/variantes/${name}_${t}.jpg`]));
+}
+
+async function borrarImagenStorage(url) {
+    if (!url) return;
+    const rutas = [url, ...Object.values(rutasVariantes(url))];
+    for (const ruta of rutas) {
+        try {
+            const fileRef = storage.bucket().file(ruta); 
+            await fileRef.delete({ ignoreNotFound: ruta !== url });
+        } catch (error) {
+            console.warn(`No se pudo borrar la imagen ${ruta}:`, error.message);
+        }
+    }
+}
+
+// Variantes ya generadas de cada ruta, según los metadatos que deja procesarImagen
+async function variantesDeImagenes(rutas) {
+    const variantes = {};
+    for (const ruta of rutas.filter(r => r)) {
+        try {
+            const [metadata] = await storage.bucket().file(ruta).getMetadata();
+            if (metadata.metadata?.procesado === 'true') variantes[ruta] = rutasVariantes(ruta);
+        } catch (error) {
+            console.warn(`No se pudieron leer los metadatos de ${ruta}:`, error.message);
+        }
+    }
+    return variantes;
+}
+
+const validarTipo = (valor, tipo, nombreCampo) => {
+    if (tipo === 'array') {
+        if (!Array.isArray(valor)) throw new functions.https.HttpsError('invalid-argument', `El campo ${nombreCampo} debe ser una lista.`);
+    } else if (typeof valor !== tipo) {
+        throw new functions.https.HttpsError('invalid-argument', `El campo ${nombreCampo} debe ser ${tipo}.`);
+    }
+};
+
+const PALABRAS_VACIAS = ['de', 'del', 'la', 'las', 'el', 'los', 'en', 'con', 'para', 'por', 'un', 'una', 'y'];
+const MAX_LARGO_PREFIJO = 15;
+const MAX_PAGINAS_BUSQUEDA = 5;
+
+// "Estudio Básico" -> ['estudio', 'basico']
+const palabrasNormalizadas = (texto) => String(texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(p => p.length >= 2 && !PALABRAS_VACIAS.includes(p));
+
+// Se guardan los prefijos de cada palabra para que "estu" también encuentre "estudio"
+function tokensBusqueda(escenario) {
+    const tokens = new Set();
+    const texto = [escenario.nombre, escenario.descripcion, escenario.categoria, escenario.sub_categoria].join(' ');
+    for (const palabra of palabrasNormalizadas(texto)) {
+        for (let i = 2; i <= Math.min(palabra.length, MAX_LARGO_PREFIJO); i++) tokens.add(palabra.slice(0, i));
+    }
+    return [...tokens].sort();
+}
+
+const generarSlug = (texto) => String(texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// Regla: categoria y sub_categoria de un escenario deben existir y estar activas en Categorias
+async function validarCategoria(categoria, subCategoria) {
+    const snap = await db.collection('Categorias').where('nombre', '==', categoria).limit(1).get();
+    if (snap.empty || snap.docs[0].data().activa === false) {
+        throw new functions.https.HttpsError('invalid-argument', `La categoría "${categoria}" no existe o está inactiva.`);
+    }
+    if (!subCategoria) return;
+
+    const sub = (snap.docs[0].data().sub_categorias || []).find(sc => sc.nombre === subCategoria);
+    if (!sub || sub.activa === false) {
+        throw new functions.https.HttpsError('invalid-argument', `La sub-categoría "${subCategoria}" no existe o está inactiva en ${categoria}.`);
+    }
+}
+
+function normalizarSubCategorias(subCategorias) {
+    validarTipo(subCategorias, 'array', 'sub_categorias');
+    const resultado = subCategorias.map((sc, i) => {
+        validarTipo(sc.nombre, 'string', `sub_categorias[${i}].nombre`);
+        const nombre = sc.nombre.trim();
+        if (!nombre) throw new functions.https.HttpsError('invalid-argument', 'Las sub-categorías necesitan nombre.');
+        return {
+            id: sc.id || db.collection('Categorias').doc().id,
+            nombre,
+            slug: generarSlug(nombre),
+            orden: Number(sc.orden) || i,
+            activa: sc.activa !== false
+        };
+    });
+
+    const slugs = resultado.map(sc => sc.slug);
+    if (new Set(slugs).size !== slugs.length) throw new functions.https.HttpsError('invalid-argument', 'Hay sub-categorías repetidas.');
+    return resultado.sort((a, b) => a.orden - b.orden);
+}
+
+async function validarSlugCategoriaLibre(slug, idActual = null) {
+    const snap = await db.collection('Categorias').where('slug', '==', slug).limit(2).get();
+    if (snap.docs.some(d => d.id !== idActual)) {
+        throw new functions.https.HttpsError('already-exists', 'Ya existe una categoría con ese nombre.');
+    }
+}
+
+// Actualiza por páginas los escenarios que coinciden con los filtros
+async function actualizarDonde(coleccion, filtros, cambios) {
+    let query = db.collection(coleccion);
+    for (const [campo, valor] of Object.entries(filtros)) query = query.where(campo, '==', valor);
+
+    let total = 0;
+    for await (const docs of paginar(query.orderBy(admin.firestore.FieldPath.documentId()))) {
+        const batch = db.batch();
+        docs.forEach(d => batch.update(d.ref, { ...cambios, updatedAt: admin.firestore.FieldValue.serverTimestamp() }));
+        await batch.commit();
+        total += docs.length;
+    }
+    return total;
+}
+
+// Escenarios y citas guardan el nombre de la categoría, así que un cambio de nombre se propaga a ambos.
+// La cascada queda anotada en la categoría hasta terminar: si se corta, la siguiente edición la completa
+async function aplicarCascadaCategoria(ref) {
+    const cascada = (await ref.get()).data()?.cascada_pendiente;
+    if (!cascada) return { escenarios: 0, citas: 0 };
+
+    const total = { escenarios: 0, citas: 0 };
+    for (const sc of cascada.sub_categorias || []) {
+        total.escenarios += await actualizarDonde('Escenarios', { categoria: cascada.categoria_anterior, sub_categoria: sc.anterior }, { sub_categoria: sc.nueva });
+    }
+    if (cascada.categoria_nueva !== cascada.categoria_anterior) {
+        total.escenarios += await actualizarDonde('Escenarios', { categoria: cascada.categoria_anterior }, { categoria: cascada.categoria_nueva });
+        total.citas += await actualizarDonde('Citas', { escenario_categoria: cascada.categoria_anterior }, { escenario_categoria: cascada.categoria_nueva });
+    }
+    await ref.update({ cascada_pendiente: admin.firestore.FieldValue.delete() });
+    return total;
+}
+
+async function contarEscenarios(filtros) {
+    let query = db.collection('Escenarios');
+    for (const [campo, valor] of Object.entries(filtros)) query = query.where(campo, '==', valor);
+    const snap = await query.count().get();
+    return snap.data().count;
+}
+
+const DIAS_SEMANA = ['domingo', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado'];
+const MAX_DIAS_DISPONIBILIDAD = 31;
+
+const HORARIO_POR_DEFECTO = {
+    zona_horaria: 'America/Bogota',
+    buffer_minutos: 15,
+    duracion_por_defecto: 60,
+    dias: {
+        domingo: [],
+        lunes: [{ inicio: '09:00', fin: '18:00' }],
+        martes: [{ inicio: '09:00', fin: '18:00' }],
+        miercoles: [{ inicio: '09:00', fin: '18:00' }],
+        jueves: [{ inicio: '09:00', fin: '18:00' }],
+        viernes: [{ inicio: '09:00', fin: '18:00' }],
+        sabado: [{ inicio: '09:00', fin: '14:00' }]
+    },
+    fechas_cerradas: []
+};
+
+async function obtenerHorario() {
+    const doc = await db.collection('Configuracion').doc('horario').get();
+    const config = doc.exists ? doc.data() : {};
+    return {
+        ...HORARIO_POR_DEFECTO,
+        ...config,
+        dias: { ...HORARIO_POR_DEFECTO.dias, ...(config.dias || {}) }
+    };
+}
+
+const diaLocal = (fecha, zona) => format(new TZDate(fecha, zona), 'yyyy-MM-dd');
+
+const duracionSesion = (escenario, horario) => Number(escenario.tiempo_sesion) || horario.duracion_por_defecto;
+
+const agendaRef = (escenarioId, dia) => db.collection('Agenda').doc(`${escenarioId}_${dia}`);
+
+// Bloques posibles de un día ('yyyy-MM-dd') según el horario de atención, sin mirar reservas
+function generarSlots(horario, dia, duracion) {
+    if ((horario.fechas_cerradas || []).includes(dia)) return [];
+
+    const [y, m, d] = dia.split('-').map(Number);
+    const zona = horario.zona_horaria;
+    const rangos = horario.dias[DIAS_SEMANA[new TZDate(y, m - 1, d, zona).getDay()]] || [];
+    const paso = duracion + horario.buffer_minutos;
+    const slots = [];
+
+    for (const rango of rangos) {
+        const cierre = minutosDelDia(rango.fin);
+        for (let min = minutosDelDia(rango.inicio); min + duracion <= cierre; min += paso) {
+            const inicio = new TZDate(y, m - 1, d, Math.floor(min / 60), min % 60, zona);
+            slots.push({ inicio, fin: addMinutes(inicio, duracion) });
+        }
+    }
+    return slots;
+}
+
+// Un bloque está ocupado si choca con alguna reserva, respetando el buffer entre sesiones
+function slotOcupado(slot, reservas, bufferMinutos) {
+    const buffer = bufferMinutos * 60000;
+    return Object.values(reservas || {}).some((r) => {
+        const inicio = r.inicio.toMillis() - buffer;
+        const fin = r.fin.toMillis() + buffer;
+        return slot.inicio.getTime() < fin && inicio < slot.fin.getTime();
+    });
+}
+
+const sinReservas = (reservas, ...claves) => Object.fromEntries(
+    Object.entries(reservas || {}).filter(([clave]) => !claves.includes(clave))
+);
+
+const liberarReservas = (claves) => ({
+    ...Object.fromEntries(claves.map(c => [`reservas.${c}`, admin.firestore.FieldValue.delete()])),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+});
+
+const fechaLegible = (fecha, zona) => format(new TZDate(fecha, zona), "dd/MM/yyyy 'a las' HH:mm");
+
+// Regla: La cita debe caer en un bloque del horario de atención del escenario
+async function resolverSlot(escenarioId, fechaCita) {
+    const escenarioSnap = await db.collection('Escenarios').doc(escenarioId).get();
+    if (!escenarioSnap.exists) throw new functions.https.HttpsError('not-found', 'Escenario no encontrado');
+    const escenario = escenarioSnap.data();
+
+    const horario = await obtenerHorario();
+    const duracion = duracionSesion(escenario, horario);
+    const dia = diaLocal(fechaCita, horario.zona_horaria);
+    const slot = generarSlots(horario, dia, duracion).find(s => s.inicio.getTime() === fechaCita.getTime());
+    if (!slot) {
+        throw new functions.https.HttpsError('invalid-argument', 'El horario seleccionado está fuera del horario de atención.');
+    }
+    return { escenario, horario, duracion, dia, slot };
+}
+
+async function tieneCitaEseDia(uid, fechaCita, citaExcluida = null) {
+    const citasHoySnap = await db.collection('Citas')
+        .where('uid_cliente', '==', uid)
+        .where('fecha', '>=', startOfDay(fechaCita))
+        .where('fecha', '<=', endOfDay(fechaCita))
+        .get();
+    return citasHoySnap.docs.some(d => d.id !== citaExcluida);
+}
+
+// Regla: Una cita por cliente por día
+async function validarUnaCitaPorDia(uid, fechaCita, citaExcluida = null) {
+    if (await tieneCitaEseDia(uid, fechaCita, citaExcluida)) {
+        throw new functions.https.HttpsError('already-exists', 'Ya tienes una cita programada para este día.');
+    }
+}
+
+const FORMATO_HORA = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const validarHorasRango = (rango, nombreCampo) => {
+    if (!rango || !FORMATO_HORA.test(rango.inicio) || !FORMATO_HORA.test(rango.fin) || minutosDelDia(rango.inicio) >= minutosDelDia(rango.fin)) {
+        throw new functions.https.HttpsError('invalid-argument', `Rango de horas inválido en ${nombreCampo}.`);
+    }
+};
+
+// { lunes: [{ inicio, fin }], ... } validado, como en Configuracion/horario
+function normalizarDias(dias, nombreCampo) {
+    if (!dias || typeof dias !== 'object' || Array.isArray(dias)) {
+        throw new functions.https.HttpsError('invalid-argument', `El campo ${nombreCampo} debe ser un objeto por día.`);
+    }
+    const normalizados = {};
+    for (const [dia, rangos] of Object.entries(dias)) {
+        if (!DIAS_SEMANA.includes(dia)) throw new functions.https.HttpsError('invalid-argument', `Día desconocido: ${dia}`);
+        validarTipo(rangos, 'array', `${nombreCampo}.${dia}`);
+        rangos.forEach((r) => validarHorasRango(r, `${nombreCampo}.${dia}`));
+        normalizados[dia] = rangos.map(({ inicio, fin }) => ({ inicio, fin }));
+    }
+    return normalizados;
+}
+
+// Agenda de cada miembro del personal por día, con la misma forma que Agenda
+const agendaPersonalRef = (uid, dia) => db.collection('Agenda_Personal').doc(`${uid}_${dia}`);
+
+// Un miembro cubre la sesión si puede hacer el escenario (sin lista = todos) y el bloque cae en su horario
+function cubreSesion(personal, escenarioId, slot, zona) {
+    const escenarios = personal.escenarios || [];
+    if (escenarios.length && !escenarios.includes(escenarioId)) return false;
+
+    const inicio = new TZDate(slot.inicio, zona);
+    const desde = inicio.getHours() * 60 + inicio.getMinutes();
+    const hasta = desde + (slot.fin - slot.inicio) / 60000;
+    const rangos = personal.horario?.[DIAS_SEMANA[inicio.getDay()]] || [];
+    return rangos.some(r => minutosDelDia(r.inicio) <= desde && hasta <= minutosDelDia(r.fin));
+}
+
+// null si el estudio no tiene personal activo: entonces no se asigna ni se exige a nadie
+async function candidatosPersonal(escenarioId, slot, zona) {
+    const snap = await db.collection('Personal').where('activo', '==', true).get();
+    if (snap.empty) return null;
+    return snap.docs.filter(d => cubreSesion(d.data(), escenarioId, slot, zona));
+}
+
+// Lee en la transacción las agendas de los candidatos; prefiere al indicado y luego al menos ocupado del día
+async function elegirPersonalLibre(tx, candidatos, slot, dia, bufferMinutos, { preferido, citaId } = {}) {
+    if (!candidatos.length) return null;
+    const refs = candidatos.map(d => agendaPersonalRef(d.id, dia));
+    const agendas = await tx.getAll(...refs);
+
+    const libres = candidatos
+        .map((doc, i) => ({ doc, ref: refs[i], reservas: sinReservas(agendas[i].exists ? agendas[i].data().reservas : {}, citaId) }))
+        .filter(c => !slotOcupado(slot, c.reservas, bufferMinutos));
+    libres.sort((a, b) => (b.doc.id === preferido) - (a.doc.id === preferido) || Object.keys(a.reservas).length - Object.keys(b.reservas).length);
+    return libres[0] || null;
+}
+
+// Reserva el bloque en la agenda del elegido y devuelve los campos de la cita; suelta la reserva anterior si cambió de agenda
+function asignarPersonal(tx, elegido, cita, citaId, dia, reserva) {
+    if (cita.agenda_personal_id && cita.agenda_personal_id !== elegido.ref.id) {
+        tx.update(db.collection('Agenda_Personal').doc(cita.agenda_personal_id), liberarReservas([citaId]));
+    }
+    tx.set(elegido.ref, {
+        uid_personal: elegido.doc.id,
+        fecha: dia,
+        reservas: { [citaId]: reserva },
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    return {
+        personal_id: elegido.doc.id,
+        personal_nombre: elegido.doc.data().nombre || "",
+        agenda_personal_id: elegido.ref.id
+    };
+}
+
+const slotDeCita = (cita, horario) => {
+    const inicio = cita.fecha.toDate();
+    return { inicio, fin: cita.fecha_fin ? cita.fecha_fin.toDate() : addMinutes(inicio, cita.duracion_minutos || horario.duracion_por_defecto) };
+};
+
+// Ciclo de vida de una cita: quién puede mover cada estado y hacia dónde
+const TRANSICIONES_CITA = {
+    espera: { admin: ['aceptada', 'rechazada'], cliente: ['cancelada_cliente', 'cancelada_tardia'] },
+    aceptada: { admin: ['atendida', 'no_asistio', 'rechazada'], cliente: ['cancelada_cliente', 'cancelada_tardia'] },
+    rechazada: {},
+    atendida: {},
+    no_asistio: {},
+    cancelada_cliente: {},
+    cancelada_tardia: {}
+};
+
+const CAMPOS_EDITABLES_CITA = {
+    admin: ['notas_admin'],
+    cliente: ['notas_cliente']
+};
+
+const ESTADOS_QUE_LIBERAN_AGENDA = ['rechazada', 'cancelada_cliente', 'cancelada_tardia'];
+
+// estado_solicitud y estado_atendida se mantienen para las apps que aún los leen
+const ESTADOS_LEGADOS = {
+    espera: { estado_solicitud: 'espera', estado_atendida: 'espera' },
+    aceptada: { estado_solicitud: 'aceptada', estado_atendida: 'espera' },
+    rechazada: { estado_solicitud: 'rechazada', estado_atendida: 'espera' },
+    atendida: { estado_solicitud: 'aceptada', estado_atendida: 'atendida' },
+    no_asistio: { estado_solicitud: 'aceptada', estado_atendida: 'no_asistio' },
+    cancelada_cliente: { estado_solicitud: 'cancelada', estado_atendida: 'cancelada' },
+    cancelada_tardia: { estado_solicitud: 'cancelada', estado_atendida: 'cancelada' }
+};
+
+const estadoFinalCita = (estado) => !Object.keys(TRANSICIONES_CITA[estado] || {}).length;
+
+// estado_cambiado_en marca cuándo pasó el cambio (la cancelación, no la fecha de la cita)
+const camposEstadoCita = (estado) => ({ estado, ...ESTADOS_LEGADOS[estado], estado_cambiado_en: admin.firestore.Timestamp.now() });
+
+// Citas creadas antes de existir el campo estado
+function estadoCita(cita) {
+    if (cita.estado) return cita.estado;
+    if (cita.estado_atendida === 'atendida') return 'atendida';
+    if (cita.estado_solicitud === 'aceptada') return 'aceptada';
+    if (cita.estado_solicitud === 'rechazada') return 'rechazada';
+    return 'espera';
+}
+
+const POLITICA_PENALIZACION_POR_DEFECTO = {
+    horas_cancelacion_tardia: 24,
+    max_incidencias: 2,
+    ventana_dias: 30,
+    duracion_bloqueo_dias: 15,
+    estados_penalizados: ['cancelada_tardia', 'no_asistio']
+};
+
+async function obtenerPoliticaPenalizacion() {
+    const doc = await db.collection('Configuracion').doc('penalizacion').get();
+    return { ...POLITICA_PENALIZACION_POR_DEFECTO, ...(doc.exists ? doc.data() : {}) };
+}
+
+const bloqueoVigente = (cliente) => {
+    const hasta = cliente?.bloqueo_citas?.hasta;
+    return hasta && hasta.toMillis() > Date.now() ? cliente.bloqueo_citas : null;
+};
+
+// Citas del cliente que cuentan para la política, sin contar las anteriores a un desbloqueo manual.
+// La ventana se mide desde que ocurrió la incidencia; las citas sin estado_cambiado_en usan su última edición.
+async function incidenciasCliente(uid, politica, cliente) {
+    let desde = subDays(new Date(), politica.ventana_dias);
+    const levantado = cliente?.bloqueo_levantado?.fecha?.toDate();
+    if (levantado && levantado > desde) desde = levantado;
+
+    // Se filtra en memoria para contar también las citas anteriores al campo estado
+    const snap = await db.collection('Citas').where('uid_cliente', '==', uid).get();
+    return snap.docs.filter((d) => {
+        const cita = d.data();
+        const ocurrida = cita.estado_cambiado_en || cita.updatedAt || cita.fecha;
+        return politica.estados_penalizados.includes(estadoCita(cita)) && ocurrida && ocurrida.toDate() >= desde;
+    });
+}
+
+async function evaluarBloqueoCliente(uid) {
+    const politica = await obtenerPoliticaPenalizacion();
+    const clienteRef = db.collection('Clientes').doc(uid);
+    const cliente = (await clienteRef.get()).data();
+    if (bloqueoVigente(cliente)) return;
+
+    const incidencias = await incidenciasCliente(uid, politica, cliente);
+    if (incidencias.length < politica.max_incidencias) return;
+
+    await clienteRef.set({
+        bloqueo_citas: {
+            desde: admin.firestore.FieldValue.serverTimestamp(),
+            hasta: admin.firestore.Timestamp.fromDate(addDays(new Date(), politica.duracion_bloqueo_dias)),
+            motivo: `${incidencias.length} cancelaciones tardías o inasistencias en ${politica.ventana_dias} días`,
+            citas: incidencias.map(d => d.id)
+        }
+    }, { merge: true });
+}
+
+const RECORDATORIOS_POR_DEFECTO = {
+    offsets_horas: [48, 2]
+};
+
+async function obtenerConfigRecordatorios() {
+    const doc = await db.collection('Configuracion').doc('recordatorios').get();
+    return { ...RECORDATORIOS_POR_DEFECTO, ...(doc.exists ? doc.data() : {}) };
+}
+
+// Un recordatorio por cita, fecha y anticipación: nunca se repite un envío. Si la cita vuelve a una fecha
+// anterior (A→B→A) el recordatorio cancelado de esa fecha se vuelve a activar
+const recordatorioRef = (citaId, fecha, offset) => db.collection('Recordatorios').doc(`${citaId}_${fecha.toMillis()}_${offset}`);
+
+function validarTransicionCita(estadoActual, estadoNuevo, rol) {
+    const permitidos = (TRANSICIONES_CITA[estadoActual] || {})[rol] || [];
+    if (!permitidos.includes(estadoNuevo)) {
+        throw new functions.https.HttpsError('failed-precondition', `No se puede pasar la cita de ${estadoActual} a ${estadoNuevo}.`);
+    }
+}
+
+// Sirve para Citas y Solicitudes_Fotos: cada cambio queda en la subcolección historial del documento
+function registrarHistorial(escritor, docRef, entrada) {
+    escritor.set(docRef.collection('historial').doc(), {
+        actor_uid: entrada.actor_uid || null,
+        actor_rol: entrada.actor_rol,
+        estado_anterior: entrada.estado_anterior || null,
+        estado_nuevo: entrada.estado_nuevo,
+        motivo: entrada.motivo || "",
+        cambios: entrada.cambios || {},
+        fecha: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+// Solo devuelve referencias de notificaciones que pertenecen al usuario
+async function notificacionesPropias(uid, ids) {
+    validarTipo(ids, 'array', 'ids');
+    if (!ids.length || ids.length > 100) throw new functions.https.HttpsError('invalid-argument', 'Envía entre 1 y 100 notificaciones.');
+
+    const docs = await db.getAll(...ids.map(id => db.collection('Notificaciones').doc(String(id))));
+    return docs.filter(d => d.exists && d.data().uid_usuario === uid).map(d => d.ref);
+}
+
+
+const SEGMENTOS_CAMPANA = ['todos', 'categoria', 'inactivos', 'fotos_pendientes'];
+const TAMANO_PAGINA = 500;
+const TAMANO_FILTRO_IN = 30;
+
+async function* paginar(query) {
+    let ultimo = null;
+    while (true) {
+        const snap = await (ultimo ? query.startAfter(ultimo) : query).limit(TAMANO_PAGINA).get();
+        if (snap.empty) return;
+        yield snap.docs;
+        if (snap.size < TAMANO_PAGINA) return;
+        ultimo = snap.docs[snap.size - 1];
+    }
+}
+
+// Migraciones de datos que corren solas una vez (ver ejecutarMigraciones); el avance queda en Configuracion/migraciones
+const MIGRACIONES = {
+    // Las notificaciones anteriores al campo leida no aparecían como no leídas
+    notificaciones_leida: {
+        query: () => db.collection('Notificaciones').orderBy(admin.firestore.FieldPath.documentId()),
+        actualizar: (doc) => doc.data().leida === undefined ? { leida: false } : null
+    }
+};
+const MINUTOS_POR_CORRIDA_MIGRACIONES = 8;
+
+async function ejecutarMigracionesPendientes() {
+    const estadoRef = db.collection('Configuracion').doc('migraciones');
+    const estado = (await estadoRef.get()).data() || {};
+    const limite = Date.now() + MINUTOS_POR_CORRIDA_MIGRACIONES * 60000;
+
+    for (const [nombre, migracion] of Object.entries(MIGRACIONES)) {
+        if (estado[nombre]?.completada) continue;
+        const ultimoId = estado[nombre]?.ultimo_id;
+        const query = ultimoId ? migracion.query().startAfter(ultimoId) : migracion.query();
+
+        for await (const docs of paginar(query)) {
+            const batch = db.batch();
+            let cambios = 0;
+            docs.forEach((d) => {
+                const actualizacion = migracion.actualizar(d);
+                if (!actualizacion) return;
+                batch.update(d.ref, actualizacion);
+                cambios++;
+            });
+            if (cambios) await batch.commit();
+
+            await estadoRef.set({
+                [nombre]: {
+                    ultimo_id: docs[docs.length - 1].id,
+                    procesados: admin.firestore.FieldValue.increment(docs.length),
+                    actualizados: admin.firestore.FieldValue.increment(cambios),
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                }
+            }, { merge: true });
+            // La siguiente corrida sigue desde ultimo_id
+            if (Date.now() > limite) return;
+        }
+        await estadoRef.set({ [nombre]: { completada: true, completada_en: admin.firestore.FieldValue.serverTimestamp() } }, { merge: true });
+    }
+}
+
+// Clientes del segmento; "todos" no pasa por aquí porque se recorre Dispositivos directamente
+async function uidsSegmento(segmento) {
+    const uids = new Set();
+
+    if (segmento.tipo === 'categoria') {
+        const escenarios = await db.collection('Escenarios').where('categoria', '==', segmento.categoria).select().get();
+        const ids = escenarios.docs.map(d => d.id);
+        for (let i = 0; i < ids.length; i += TAMANO_FILTRO_IN) {
+            const query = db.collection('Citas').where('escenario_id', 'in', ids.slice(i, i + TAMANO_FILTRO_IN)).select('uid_cliente').orderBy(admin.firestore.FieldPath.documentId());
+            for await (const docs of paginar(query)) docs.forEach(d => uids.add(d.data().uid_cliente));
+        }
+    } else if (segmento.tipo === 'inactivos') {
+        // Solo clientes con al menos una cita; ultima_cita_en lo mantiene crearCita
+        const limite = subMonths(new Date(), segmento.meses);
+        const query = db.collection('Clientes').where('ultima_cita_en', '<', limite).select('ultima_cita_en').orderBy('ultima_cita_en');
+        for await (const docs of paginar(query)) docs.forEach(d => uids.add(d.id));
+    } else if (segmento.tipo === 'fotos_pendientes') {
+        const query = db.collection('Solicitudes_Fotos').where('estado', 'in', ESTADOS_SOLICITUD_ABIERTA).select('uid_cliente').orderBy(admin.firestore.FieldPath.documentId());
+        for await (const docs of paginar(query)) docs.forEach(d => uids.add(d.data().uid_cliente));
+    }
+
+    uids.delete(undefined);
+    return [...uids];
+}
+
+// Páginas de dispositivos activos del segmento, para no cargar toda la colección en memoria
+async function* dispositivosSegmento(segmento) {
+    if (segmento.tipo === 'todos') {
+        const query = db.collection('Dispositivos').where('activo', '==', true).orderBy(admin.firestore.FieldPath.documentId());
+        yield* paginar(query);
+        return;
+    }
+
+    const uids = await uidsSegmento(segmento);
+    for (let i = 0; i < uids.length; i += TAMANO_FILTRO_IN) {
+        const snap = await db.collection('Dispositivos')
+            .where('uid_usuario', 'in', uids.slice(i, i + TAMANO_FILTRO_IN))
+            .where('activo', '==', true)
+            .get();
+        if (!snap.empty) yield snap.docs;
+    }
+}
+
+function validarSegmento(segmento) {
+    if (!segmento || !SEGMENTOS_CAMPANA.includes(segmento.tipo)) {
+        throw new functions.https.HttpsError('invalid-argument', `El segmento debe ser uno de: ${SEGMENTOS_CAMPANA.join(', ')}.`);
+    }
+    if (segmento.tipo === 'categoria') validarTipo(segmento.categoria, 'string', 'segmento.categoria');
+    if (segmento.tipo === 'inactivos') {
+        validarTipo(segmento.meses, 'number', 'segmento.meses');
+        if (segmento.meses < 1) throw new functions.https.HttpsError('invalid-argument', 'segmento.meses debe ser al menos 1.');
+    }
+    return {
+        tipo: segmento.tipo,
+        ...(segmento.tipo === 'categoria' ? { categoria: segmento.categoria } : {}),
+        ...(segmento.tipo === 'inactivos' ? { meses: Math.floor(segmento.meses) } : {})
+    };
+}
+
+async function procesarCampana(ref, campana) {
+    const notificacion = { titulo: campana.titulo, mensaje: campana.mensaje, imagen: campana.imagen };
+
+    for await (const pagina of dispositivosSegmento(campana.segmento)) {
+        const destinatarios = await filtrarPorPreferencias(pagina, 'promocion', { clave: `campana_${ref.id}`, notificacion, data: { campana_id: ref.id } });
+        const resultado = await enviarPush(destinatarios, notificacion, { campana_id: ref.id });
+
+        // Los contadores se acumulan por página para que un fallo a mitad no pierda lo ya enviado
+        await ref.update({
+            destinatarios: admin.firestore.FieldValue.increment(destinatarios.length),
+            omitidos_por_preferencias: admin.firestore.FieldValue.increment(pagina.length - destinatarios.length),
+            exitosos: admin.firestore.FieldValue.increment(resultado.exitosos),
+            fallidos: admin.firestore.FieldValue.increment(resultado.fallidos),
+            tokens_desactivados: admin.firestore.FieldValue.increment(resultado.desactivados)
+        });
+    }
+}
+
+
+const PREFIJOS_LIMPIEZA = ['escenarios/', 'recibos/', 'fotos/', 'zips/', 'exportaciones/'];
+const LIMPIEZA_POR_DEFECTO = { gracia_horas: 48, dry_run: false };
+const MAX_MUESTRAS_LIMPIEZA = 200;
+
+// Acepta rutas del bucket o URLs de descarga de Firebase (.../o/<ruta codificada>?...)
+function rutaDeUrl(url) {
+    if (!url) return null;
+    const match = /\/o\/([^?]+)/.exec(url);
+    return match ? decodeURIComponent(match[1]) : url;
+}
+
+async function rutasReferenciadas() {
+    const rutas = new Set();
+    const solicitudes = new Set();
+    const agregar = (ruta) => {
+        const limpia = rutaDeUrl(ruta);
+        if (limpia) rutas.add(limpia);
+    };
+
+    const escenarios = db.collection('Escenarios').select('img_principal', 'list_img').orderBy(admin.firestore.FieldPath.documentId());
+    for await (const docs of paginar(escenarios)) {
+        docs.forEach((d) => {
+            agregar(d.data().img_principal);
+            (d.data().list_img || []).forEach(agregar);
+        });
+    }
+
+    const fotos = db.collection('Solicitudes_Fotos').select('recibo_url', 'recibos_anteriores', 'fotos_urls', 'zip').orderBy(admin.firestore.FieldPath.documentId());
+    for await (const docs of paginar(fotos)) {
+        docs.forEach((d) => {
+            solicitudes.add(d.id);
+            agregar(d.data().recibo_url);
+            // Los recibos reemplazados se guardan como evidencia ante un reclamo de pago
+            (d.data().recibos_anteriores || []).forEach(r => agregar(r.recibo_url));
+            agregar(d.data().zip?.ruta);
+            (d.data().fotos_urls || []).forEach(agregar);
+        });
+    }
+    return { rutas, solicitudes };
+}
+
+// Un archivo es huérfano si ningún documento lo referencia; las variantes siguen a su original
+function esHuerfano(file, { rutas, solicitudes }) {
+    const partes = file.name.split('/');
+    // Las fotos de una solicitud viva se conservan aunque aún no estén en fotos_urls
+    if (partes[0] === 'fotos' && solicitudes.has(partes[1])) return false;
+    const original = file.metadata.metadata?.original;
+    return !rutas.has(original || file.name);
+}
+
+async function limpiarStorageHuerfanos({ dryRun, graciaHoras }) {
+    const referencias = await rutasReferenciadas();
+    const limite = Date.now() - graciaHoras * 3600000;
+    const reporte = { dry_run: dryRun, gracia_horas: graciaHoras, revisados: 0, archivos: 0, bytes: 0, errores: 0, muestras: [] };
+
+    for (const prefix of PREFIJOS_LIMPIEZA) {
+        let consulta = { prefix, autoPaginate: false, maxResults: 1000 };
+        while (consulta) {
+            const [files, siguiente] = await storage.bucket().getFiles(consulta);
+            for (const file of files) {
+                reporte.revisados++;
+                if (new Date(file.metadata.timeCreated).getTime() > limite) continue;
+                if (!esHuerfano(file, referencias)) continue;
+
+                if (!dryRun) {
+                    try {
+                        await file.delete();
+                    } catch (error) {
+                        console.warn(`No se pudo borrar ${file.name}:`, error.message);
+                        reporte.errores++;
+                        continue;
+                    }
+                }
+                reporte.archivos++;
+                reporte.bytes += Number(file.metadata.size) || 0;
+                if (reporte.muestras.length < MAX_MUESTRAS_LIMPIEZA) reporte.muestras.push(file.name);
+            }
+            consulta = siguiente;
+        }
+    }
+
+    await db.collection('Reportes_Limpieza').add({ ...reporte, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+    return reporte;
+}
+
+
+const MINUTOS_ENLACE_FOTOS = 15;
+const MINUTOS_ENLACE_ZIP = 60;
+
+// Regla: las fotos entregadas solo las ve su dueño (o un admin) y mientras no hayan expirado
+async function solicitudConAccesoAFotos(context, id) {
+    const uid = context.auth?.uid;
+    if (!uid) throw new functions.https.HttpsError('unauthenticated', 'Inicie sesión.');
+    validarTipo(id, 'string', 'id');
+
+    const ref = db.collection('Solicitudes_Fotos').doc(id);
+    const snap = await ref.get();
+    if (!snap.exists) throw new functions.https.HttpsError('not-found', 'Solicitud no encontrada');
+    const solicitud = snap.data();
+
+    const isAdmin = tienePermiso(context, 'fotos');
+    if (solicitud.uid_cliente !== uid && !isAdmin) throw new functions.https.HttpsError('permission-denied', 'No autorizado.');
+    if (solicitud.archivada || (!isAdmin && solicitud.expira_en && solicitud.expira_en.toMillis() <= Date.now())) {
+        throw new functions.https.HttpsError('failed-precondition', 'Las fotos de esta solicitud expiraron.');
+    }
+    return { ref, solicitud, isAdmin };
+}
+
+// Rutas de las fotos entregadas; si fotos_urls está vacío se lista la carpeta de la solicitud
+async function rutasFotosSolicitud(id, solicitud) {
+    const rutas = (solicitud.fotos_urls || []).map(rutaDeUrl).filter(r => r);
+    if (rutas.length) return rutas;
+
+    const [files] = await storage.bucket().getFiles({ prefix: `fotos/${id}/` });
+    return files.map(f => f.name).filter(n => n.split('/').length === 3);
+}
+
+const enlaceFirmado = async (ruta, minutos, opciones = {}) => {
+    const [url] = await storage.bucket().file(ruta).getSignedUrl({
+        version: 'v4',
+        action: 'read',
+        expires: Date.now() + minutos * 60000,
+        ...opciones
+    });
+    return url;
+};
+
+const registrarDescarga = (ref, uid, tipo, archivos) => ref.collection('descargas').add({
+    uid,
+    tipo,
+    archivos,
+    fecha: admin.firestore.FieldValue.serverTimestamp()
+});
+
+
+// Flujo de pago de una solicitud de fotos
+const TRANSICIONES_SOLICITUD = {
+    pendiente: { admin: ['recibo_verificado', 'recibo_rechazado'] },
+    recibo_rechazado: { cliente: ['pendiente'] },
+    recibo_verificado: { admin: ['en_proceso'] },
+    en_proceso: { admin: ['entregado'] },
+    entregado: {}
+};
+
+const ESTADOS_SOLICITUD_ABIERTA = ['pendiente', 'recibo_rechazado', 'recibo_verificado', 'en_proceso'];
+
+const METODOS_PAGO = ['transferencia', 'nequi', 'daviplata', 'efectivo', 'tarjeta'];
+
+const MENSAJES_SOLICITUD = {
+    recibo_verificado: { titulo: "Pago verificado", mensaje: "Verificamos tu pago. Pronto empezaremos a trabajar en tus fotos." },
+    recibo_rechazado: { titulo: "Recibo rechazado", mensaje: "No pudimos verificar tu recibo. Revisa el motivo y envíalo de nuevo." },
+    en_proceso: { titulo: "Fotos en proceso", mensaje: "Estamos editando tus fotos." },
+    entregado: { titulo: "Fotos Listas", mensaje: "Tus fotos ya están disponibles en la app." }
+};
+
+function validarTransicionSolicitud(estadoActual, estadoNuevo, rol) {
+    const permitidos = (TRANSICIONES_SOLICITUD[estadoActual] || {})[rol] || [];
+    if (!permitidos.includes(estadoNuevo)) {
+        throw new functions.https.HttpsError('failed-precondition', `No se puede pasar la solicitud de ${estadoActual} a ${estadoNuevo}.`);
     }
 }
 
-async function borrarImagenStorage(url) {
-    if (!url) return;
-    try {
-        const fileRef = storage.bucket().file(url); 
-        await fileRef.delete();
+// Datos del pago enviados por el cliente; el recibo debe estar en su carpeta recibos/{uid}/
+function datosPago(uid, data) {
+    validarTipo(data.recibo_url, 'string', 'recibo_url');
+    validarTipo(data.monto, 'number', 'monto');
+    validarTipo(data.metodo_pago, 'string', 'metodo_pago');
+    validarTipo(data.referencia_pago, 'string', 'referencia_pago');
+
+    if (!rutaDeUrl(data.recibo_url).startsWith(`recibos/${uid}/`)) {
+        throw new functions.https.HttpsError('invalid-argument', 'El recibo debe subirse a tu carpeta de recibos.');
+    }
+    if (!(data.monto > 0)) throw new functions.https.HttpsError('invalid-argument', 'El monto debe ser mayor a cero.');
+    if (!METODOS_PAGO.includes(data.metodo_pago)) {
+        throw new functions.https.HttpsError('invalid-argument', `Método de pago inválido. Opciones: ${METODOS_PAGO.join(', ')}.`);
+    }
+    if (!data.referencia_pago.trim()) throw new functions.https.HttpsError('invalid-argument', 'Falta la referencia del pago.');
+
+    return {
+        recibo_url: data.recibo_url,
+        monto: data.monto,
+        metodo_pago: data.metodo_pago,
+        referencia_pago: data.referencia_pago.trim()
+    };
+}
+
+// Cambia el estado de una solicitud validando la transición y dejando rastro en su historial.
+// cambios puede ser una función de la solicitud actual, leída en la misma transacción; al historial
+// solo pasan los valores planos (no los FieldValue como arrayUnion)
+async function cambiarEstadoSolicitud(id, estadoNuevo, { uid, rol, motivo, cambios = {} }) {
+    validarTipo(id, 'string', 'id');
+    const ref = db.collection('Solicitudes_Fotos').doc(id);
+
+    await db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists) throw new functions.https.HttpsError('not-found', 'Solicitud no encontrada');
+        const solicitud = snap.data();
+
+        if (rol === 'cliente' && solicitud.uid_cliente !== uid) throw new functions.https.HttpsError('permission-denied', 'No autorizado.');
+        validarTransicionSolicitud(solicitud.estado, estadoNuevo, rol);
+
+        const resueltos = typeof cambios === 'function' ? cambios(solicitud) : cambios;
+        tx.update(ref, {
+            ...resueltos,
+            estado: estadoNuevo,
+            motivo_estado: motivo || "",
+            fecha_actualizacion: admin.firestore.FieldValue.serverTimestamp()
+        });
+        registrarHistorial(tx, ref, {
+            actor_uid: uid,
+            actor_rol: rol,
+            estado_anterior: solicitud.estado,
+            estado_nuevo: estadoNuevo,
+            motivo,
+            cambios: Object.fromEntries(Object.entries(resueltos).filter(([, valor]) => !(valor instanceof admin.firestore.FieldValue)))
+        });
+    });
+}
+
+
+const MONEDA = 'COP';
+const VIGENCIA_COTIZACION_HORAS = 24;
+
+const validarPrecio = (valor, nombreCampo) => {
+    validarTipo(valor, 'number', nombreCampo);
+    if (!(valor >= 0)) throw new functions.https.HttpsError('invalid-argument', `El campo ${nombreCampo} no puede ser negativo.`);
+};
+
+const lineaCotizacion = (concepto, cantidad, precioUnitario) => ({
+    concepto,
+    cantidad,
+    precio_unitario: precioUnitario,
+    subtotal: cantidad * precioUnitario
+});
+
+// Los escenarios especiales (o sin precio cargado) no tienen precio fijo: el admin les asigna una cotización personalizada
+function calcularCotizacion(escenario, paquete = null) {
+    if (escenario.especial || (!paquete && typeof escenario.precio_base !== 'number')) {
+        return { items: [], total: null, moneda: MONEDA, personalizada: true, paquete: null };
+    }
+
+    const items = [];
+    if (paquete) {
+        items.push(lineaCotizacion(`Paquete ${paquete.nombre} (${paquete.sesiones} sesiones, ${paquete.fotos_editadas} fotos editadas)`, 1, paquete.precio));
+    } else {
+        items.push(lineaCotizacion(`Sesión ${escenario.nombre} (${escenario.tiempo_sesion || 0} min)`, 1, escenario.precio_base));
+    }
+    if (escenario.lleva_traje && escenario.recargo_traje > 0) {
+        items.push(lineaCotizacion('Recargo por vestuario', paquete ? paquete.sesiones : 1, escenario.recargo_traje));
+    }
+
+    return {
+        items,
+        total: items.reduce((suma, item) => suma + item.subtotal, 0),
+        moneda: MONEDA,
+        personalizada: false,
+        paquete: paquete ? { id: paquete.id, nombre: paquete.nombre, sesiones: paquete.sesiones, fotos_editadas: paquete.fotos_editadas } : null
+    };
+}
+
+async function obtenerPaqueteParaEscenario(paqueteId, escenario) {
+    if (!paqueteId) return null;
+    validarTipo(paqueteId, 'string', 'paquete_id');
+
+    const snap = await db.collection('Paquetes').doc(paqueteId).get();
+    if (!snap.exists || snap.data().activo === false) throw new functions.https.HttpsError('not-found', 'Paquete no disponible');
+    const paquete = { id: snap.id, ...snap.data() };
+
+    if (paquete.categorias?.length && !paquete.categorias.includes(escenario.categoria)) {
+        throw new functions.https.HttpsError('invalid-argument', `El paquete ${paquete.nombre} no aplica para la categoría ${escenario.categoria}.`);
+    }
+    return paquete;
+}
+
+// Un paquete se cobra completo en la cita que lo compra y deja un saldo de sesiones y fotos editadas;
+// las citas siguientes lo consumen con saldo_paquete_id en vez de cobrarse
+const saldoPaqueteRef = (id) => db.collection('Saldos_Paquete').doc(id);
+
+async function saldoParaCita(uid, saldoId, escenario) {
+    validarTipo(saldoId, 'string', 'saldo_paquete_id');
+    const snap = await saldoPaqueteRef(saldoId).get();
+    const saldo = snap.data();
+    if (!snap.exists || saldo.uid_cliente !== uid) throw new functions.https.HttpsError('not-found', 'Paquete no encontrado');
+    if (saldo.estado !== 'activo' || saldo.sesiones_restantes < 1) {
+        throw new functions.https.HttpsError('failed-precondition', 'El paquete ya no tiene sesiones disponibles.');
+    }
+    if (saldo.categorias?.length && !saldo.categorias.includes(escenario.categoria)) {
+        throw new functions.https.HttpsError('invalid-argument', `El paquete ${saldo.paquete.nombre} no aplica para la categoría ${escenario.categoria}.`);
+    }
+    return saldo;
+}
+
+// Si se cae la cita que compró el paquete, su cobro pasa a la siguiente cita del saldo. Se lee aquí
+// para que actualizarCita tenga todas sus lecturas antes de escribir
+async function sucesorCompraPaquete(tx, saldoSnap, citaId) {
+    const saldo = saldoSnap?.exists ? saldoSnap.data() : null;
+    if (saldo?.cita_compra !== citaId) return null;
+    const siguiente = (saldo.citas || []).find(c => c !== citaId);
+    return siguiente ? tx.get(db.collection('Citas').doc(siguiente)) : null;
+}
+
+// Devuelve al saldo la sesión de una cita rechazada o cancelada; el saldo se leyó antes en la transacción.
+// Si era la cita que compró el paquete, la siguiente hereda su cotización o, sin otra cita, el saldo se anula
+function devolverSesionPaquete(tx, saldoSnap, citaId, cita, sucesorSnap = null) {
+    if (!saldoSnap?.exists || !(saldoSnap.data().citas || []).includes(citaId)) return;
+    const saldo = saldoSnap.data();
+    const esCompra = saldo.cita_compra === citaId;
+    const heredera = esCompra && sucesorSnap?.exists ? sucesorSnap : null;
+
+    tx.update(saldoSnap.ref, {
+        sesiones_restantes: saldo.sesiones_restantes + 1,
+        citas: admin.firestore.FieldValue.arrayRemove(citaId),
+        ...(heredera ? { cita_compra: heredera.id } : {}),
+        ...(esCompra && !heredera ? { estado: 'anulado' } : {}),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    if (!heredera) return;
+
+    tx.update(heredera.ref, {
+        cotizacion: { ...cita.cotizacion, trasladada_desde: citaId },
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    const estado = estadoCita(heredera.data());
+    registrarHistorial(tx, heredera.ref, {
+        actor_rol: 'sistema',
+        estado_anterior: estado,
+        estado_nuevo: estado,
+        motivo: 'Se canceló la cita que compró el paquete; el cobro pasa a esta cita.',
+        cambios: { cotizacion_total: cita.cotizacion.total, trasladada_desde: citaId }
+    });
+}
+
+// Las fotos entregadas de una cita con paquete se descuentan de su saldo de fotos editadas
+async function descontarFotosPaquete(solicitudId, cantidad) {
+    const solicitud = (await db.collection('Solicitudes_Fotos').doc(solicitudId).get()).data();
+    const cita = solicitud?.cita_id ? (await db.collection('Citas').doc(solicitud.cita_id).get()).data() : null;
+    if (!cita?.saldo_paquete_id || !cantidad) return null;
+
+    const ref = saldoPaqueteRef(cita.saldo_paquete_id);
+    return db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists) return null;
+        const restantes = Math.max(0, (snap.data().fotos_editadas_restantes || 0) - cantidad);
+        tx.update(ref, {
+            fotos_editadas_restantes: restantes,
+            fotos_entregadas: admin.firestore.FieldValue.increment(cantidad),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return { fotos_editadas_restantes: restantes };
+    });
+}
+
+// Cotización que queda congelada en la cita: la aceptada por el cliente, una sesión del saldo de un paquete
+// o una calculada en el momento
+async function cotizacionParaCita(uid, escenarioId, escenario, data) {
+    if (data.saldo_paquete_id) {
+        if (data.cotizacion_id || data.paquete_id) {
+            throw new functions.https.HttpsError('invalid-argument', 'Una cita con saldo de paquete no lleva otra cotización ni paquete.');
+        }
+        const saldo = await saldoParaCita(uid, data.saldo_paquete_id, escenario);
+        return {
+            items: [lineaCotizacion(`Sesión ${escenario.nombre} del paquete ${saldo.paquete.nombre}`, 1, 0)],
+            total: 0,
+            moneda: MONEDA,
+            personalizada: false,
+            paquete: saldo.paquete
+        };
+    }
+    if (!data.cotizacion_id) {
+        const paquete = await obtenerPaqueteParaEscenario(data.paquete_id, escenario);
+        return calcularCotizacion(escenario, paquete);
+    }
+
+    validarTipo(data.cotizacion_id, 'string', 'cotizacion_id');
+    const snap = await db.collection('Cotizaciones').doc(data.cotizacion_id).get();
+    const cotizacion = snap.data();
+    if (!snap.exists || cotizacion.uid_cliente !== uid || cotizacion.escenario_id !== escenarioId) {
+        throw new functions.https.HttpsError('not-found', 'Cotización no encontrada');
+    }
+    if (cotizacion.expira_en.toMillis() <= Date.now()) {
+        throw new functions.https.HttpsError('failed-precondition', 'La cotización expiró. Solicita una nueva.');
+    }
+    return { id: snap.id, items: cotizacion.items, total: cotizacion.total, moneda: cotizacion.moneda, personalizada: cotizacion.personalizada, paquete: cotizacion.paquete || null };
+}
+
+function datosPaquete(data, parcial = false) {
+    const paquete = {};
+    if (!parcial || data.nombre !== undefined) {
+        validarTipo(data.nombre, 'string', 'nombre');
+        if (!data.nombre.trim()) throw new functions.https.HttpsError('invalid-argument', 'El paquete necesita nombre.');
+        paquete.nombre = data.nombre.trim();
+    }
+    for (const campo of ['sesiones', 'fotos_editadas']) {
+        if (parcial && data[campo] === undefined) continue;
+        validarTipo(data[campo], 'number', campo);
+        if (!Number.isInteger(data[campo]) || data[campo] < (campo === 'sesiones' ? 1 : 0)) {
+            throw new functions.https.HttpsError('invalid-argument', `Valor inválido para ${campo}.`);
+        }
+        paquete[campo] = data[campo];
+    }
+    if (!parcial || data.precio !== undefined) {
+        validarPrecio(data.precio, 'precio');
+        paquete.precio = data.precio;
+    }
+    if (data.descripcion !== undefined) paquete.descripcion = String(data.descripcion || "");
+    if (data.categorias !== undefined) {
+        validarTipo(data.categorias, 'array', 'categorias');
+        paquete.categorias = data.categorias;
+    }
+    if (data.activo !== undefined) {
+        validarTipo(data.activo, 'boolean', 'activo');
+        paquete.activo = data.activo;
+    }
+    return paquete;
+}
+
+
+const FORMATO_CODIGO_PROMOCION = /^[A-Z0-9_-]{3,30}$/;
+const TIPOS_DESCUENTO = ['porcentaje', 'fijo'];
+
+const normalizarCodigo = (codigo) => String(codigo || '').trim().toUpperCase();
+
+const promocionRef = (codigo) => db.collection('Promociones').doc(normalizarCodigo(codigo));
+
+// Valida una promoción para una cotización y devuelve el descuento en pesos; lanza el motivo si no aplica
+function evaluarPromocion(promocion, usosCliente, { escenarioId, escenario, cotizacion }) {
+    const ahora = Date.now();
+    if (!promocion || promocion.activa === false) throw new functions.https.HttpsError('not-found', 'Código de promoción inválido.');
+    if (promocion.valida_desde && promocion.valida_desde.toMillis() > ahora) {
+        throw new functions.https.HttpsError('failed-precondition', 'La promoción todavía no está vigente.');
+    }
+    if (promocion.valida_hasta && promocion.valida_hasta.toMillis() < ahora) {
+        throw new functions.https.HttpsError('failed-precondition', 'La promoción ya venció.');
+    }
+    if (promocion.max_usos && (promocion.usos || 0) >= promocion.max_usos) {
+        throw new functions.https.HttpsError('resource-exhausted', 'La promoción se agotó.');
+    }
+    if (promocion.max_usos_por_cliente && usosCliente >= promocion.max_usos_por_cliente) {
+        throw new functions.https.HttpsError('resource-exhausted', 'Ya usaste esta promoción el máximo de veces permitido.');
+    }
+    if (promocion.categorias?.length && !promocion.categorias.includes(escenario.categoria)) {
+        throw new functions.https.HttpsError('failed-precondition', 'La promoción no aplica para esta categoría.');
+    }
+    if (promocion.escenarios?.length && !promocion.escenarios.includes(escenarioId)) {
+        throw new functions.https.HttpsError('failed-precondition', 'La promoción no aplica para este escenario.');
+    }
+    if (cotizacion.personalizada) {
+        throw new functions.https.HttpsError('failed-precondition', 'Las promociones no aplican a cotizaciones personalizadas.');
+    }
+
+    return promocion.tipo === 'porcentaje'
+        ? Math.min(Math.round(cotizacion.total * promocion.valor / 100), cotizacion.total)
+        : Math.min(promocion.valor, cotizacion.total);
+}
+
+const resumenPromocion = (codigo, promocion, monto, cotizacion) => ({
+    codigo,
+    tipo: promocion.tipo,
+    valor: promocion.valor,
+    monto_descuento: monto,
+    total_con_descuento: cotizacion.total - monto
+});
+
+function datosPromocion(data, parcial = false) {
+    const promocion = {};
+    if (!parcial || data.tipo !== undefined) {
+        if (!TIPOS_DESCUENTO.includes(data.tipo)) throw new functions.https.HttpsError('invalid-argument', 'El tipo debe ser porcentaje o fijo.');
+        promocion.tipo = data.tipo;
+    }
+    if (!parcial || data.valor !== undefined) {
+        validarPrecio(data.valor, 'valor');
+        if (data.valor <= 0 || (data.tipo === 'porcentaje' && data.valor > 100)) {
+            throw new functions.https.HttpsError('invalid-argument', 'Valor de descuento inválido.');
+        }
+        promocion.valor = data.valor;
+    }
+    for (const campo of ['valida_desde', 'valida_hasta']) {
+        if (data[campo] === undefined) continue;
+        const fecha = data[campo] ? new Date(data[campo]) : null;
+        if (fecha && isNaN(fecha)) throw new functions.https.HttpsError('invalid-argument', `Fecha inválida en ${campo}.`);
+        promocion[campo] = fecha ? admin.firestore.Timestamp.fromDate(fecha) : null;
+    }
+    for (const campo of ['max_usos', 'max_usos_por_cliente']) {
+        if (data[campo] === undefined) continue;
+        if (data[campo] !== null && !(Number.isInteger(data[campo]) && data[campo] > 0)) {
+            throw new functions.https.HttpsError('invalid-argument', `${campo} debe ser un entero positivo o null.`);
+        }
+        promocion[campo] = data[campo];
+    }
+    for (const campo of ['categorias', 'escenarios']) {
+        if (data[campo] === undefined) continue;
+        validarTipo(data[campo], 'array', campo);
+        promocion[campo] = data[campo];
+    }
+    if (data.descripcion !== undefined) promocion.descripcion = String(data.descripcion || "");
+    if (data.activa !== undefined) {
+        validarTipo(data.activa, 'boolean', 'activa');
+        promocion.activa = data.activa;
+    }
+    return promocion;
+}
+
+
+// Cada cita cuenta en el día, la semana ISO y el mes de la sesión (no de la reserva), en la zona del estudio
+const PERIODOS_ESTADISTICAS = {
+    dia: { formato: 'yyyy-MM-dd', serie: eachDayOfInterval, desdePorDefecto: (hasta) => subDays(hasta, 29) },
+    semana: { formato: "RRRR-'W'II", serie: (intervalo) => eachWeekOfInterval(intervalo, { weekStartsOn: 1 }), desdePorDefecto: (hasta) => subWeeks(hasta, 11) },
+    mes: { formato: 'yyyy-MM', serie: eachMonthOfInterval, desdePorDefecto: (hasta) => subMonths(hasta, 11) }
+};
+const MAX_PERIODOS_ESTADISTICAS = 366;
+const TOP_ESTADISTICAS = 5;
+const DIAS_EVENTOS_ESTADISTICAS = 7;
+
+// dia_2026-10-19, semana_2026-W43 y mes_2026-10 para una misma fecha
+function documentosEstadisticas(fecha, zona) {
+    const local = new TZDate(fecha, zona);
+    return Object.entries(PERIODOS_ESTADISTICAS).map(([periodo, { formato }]) => {
+        const clave = format(local, formato);
+        return { id: `${periodo}_${clave}`, periodo, clave };
+    });
+}
+
+// Lo que cada documento suma a los contadores; los triggers aplican la diferencia entre antes y después
+function aportesCita(cita) {
+    if (!cita?.fecha?.toDate) return [];
+    const estado = estadoCita(cita);
+    const escenario = cita.escenario_id || 'sin_escenario';
+    const categoria = cita.escenario_categoria || 'sin_categoria';
+    const campos = [
+        [['citas', 'total'], 1],
+        [['citas', 'estados', estado], 1],
+        [['escenarios', escenario, 'citas'], 1],
+        [['categorias', categoria, 'citas'], 1]
+    ];
+    if (estado === 'atendida') campos.push([['escenarios', escenario, 'atendidas'], 1], [['categorias', categoria, 'atendidas'], 1]);
+    // primera_cita lo marca crearCita; las citas antiguas no cuentan en nuevos/recurrentes
+    if (typeof cita.primera_cita === 'boolean') campos.push([['clientes', cita.primera_cita ? 'nuevos' : 'citas_recurrentes'], 1]);
+    return [{ fecha: cita.fecha.toDate(), campos }];
+}
+
+const aportesCliente = (snap) => snap.exists ? [{ fecha: snap.createTime.toDate(), campos: [[['clientes', 'registrados'], 1]] }] : [];
+
+function aportesSolicitud(solicitud) {
+    if (!solicitud?.fecha_solicitud) return [];
+    const aportes = [{ fecha: solicitud.fecha_solicitud.toDate(), campos: [[['solicitudes', 'creadas'], 1]] }];
+    if (solicitud.estado === 'entregado' && solicitud.entregado_en) {
+        const minutos = Math.round((solicitud.entregado_en.toMillis() - solicitud.fecha_solicitud.toMillis()) / 60000);
+        aportes.push({ fecha: solicitud.entregado_en.toDate(), campos: [[['solicitudes', 'entregadas'], 1], [['solicitudes', 'minutos_entrega'], minutos]] });
+    }
+    return aportes;
+}
+
+function acumularAportes(destino, aportes, signo, zona) {
+    aportes.forEach(({ fecha, campos }) => {
+        documentosEstadisticas(fecha, zona).forEach(({ id, periodo, clave }) => {
+            if (!destino.has(id)) destino.set(id, { periodo, clave, campos: new Map() });
+            const contadores = destino.get(id).campos;
+            campos.forEach(([ruta, valor]) => {
+                const llave = ruta.join('\u0000');
+                contadores.set(llave, { ruta, valor: (contadores.get(llave)?.valor || 0) + signo * valor });
+            });
+        });
+    });
+    return destino;
+}
+
+// Se arman mapas anidados en vez de rutas con puntos porque los ids de escenario o las categorías pueden tenerlos
+function anidarContadores(campos, convertir) {
+    const raiz = {};
+    campos.forEach(({ ruta, valor }) => {
+        let nodo = raiz;
+        ruta.slice(0, -1).forEach((k) => { nodo = nodo[k] = nodo[k] || {}; });
+        nodo[ruta[ruta.length - 1]] = convertir(valor);
+    });
+    return raiz;
+}
+
+async function aplicarDiferenciaEstadisticas(eventoId, antes, despues) {
+    // La mayoría de las escrituras (preferencias, notas, etc.) no mueven ningún contador
+    if (JSON.stringify(antes) === JSON.stringify(despues)) return;
+    const { zona_horaria } = await obtenerHorario();
+    const diferencia = acumularAportes(acumularAportes(new Map(), despues, 1, zona_horaria), antes, -1, zona_horaria);
+
+    const batch = db.batch();
+    let documentos = 0;
+    diferencia.forEach(({ periodo, clave, campos }, id) => {
+        const cambios = [...campos.values()].filter(c => c.valor !== 0);
+        if (!cambios.length) return;
+        batch.set(db.collection('Estadisticas').doc(id), {
+            periodo,
+            clave,
+            ...anidarContadores(cambios, v => admin.firestore.FieldValue.increment(v)),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+        documentos++;
+    });
+    if (!documentos) return;
+
+    // Un trigger puede entregarse más de una vez: si el evento ya se registró, create() hace fallar el lote completo
+    batch.create(db.collection('Estadisticas_Eventos').doc(eventoId), {
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        expira_en: admin.firestore.Timestamp.fromDate(addDays(new Date(), DIAS_EVENTOS_ESTADISTICAS))
+    });
+    try {
+        await batch.commit();
+    } catch (error) {
+        if (error.code !== 6) throw error;
+    }
+}
+
+// Suma los contadores de varios documentos de Estadisticas
+function sumarContadores(destino, origen) {
+    Object.entries(origen || {}).forEach(([k, v]) => {
+        if (typeof v === 'number') destino[k] = (destino[k] || 0) + v;
+        else if (v && typeof v === 'object' && !(v instanceof admin.firestore.Timestamp)) destino[k] = sumarContadores(destino[k] || {}, v);
+    });
+    return destino;
+}
+
+// Porcentaje con un decimal, o null si no hay base
+const tasa = (parte, total) => total ? Math.round(parte / total * 1000) / 10 : null;
+
+function resumenEstadisticas(contadores) {
+    const estados = contadores.citas?.estados || {};
+    const n = (estado) => estados[estado] || 0;
+    const total = contadores.citas?.total || 0;
+    const realizadas = n('atendida') + n('no_asistio');
+    const solicitudes = contadores.solicitudes || {};
+
+    return {
+        citas: total,
+        estados,
+        tasas: {
+            aceptacion: tasa(n('aceptada') + realizadas, total),
+            rechazo: tasa(n('rechazada'), total),
+            cancelacion: tasa(n('cancelada_cliente') + n('cancelada_tardia'), total),
+            inasistencia: tasa(n('no_asistio'), realizadas)
+        },
+        clientes: {
+            registrados: contadores.clientes?.registrados || 0,
+            nuevos: contadores.clientes?.nuevos || 0,
+            citas_recurrentes: contadores.clientes?.citas_recurrentes || 0
+        },
+        solicitudes: {
+            creadas: solicitudes.creadas || 0,
+            entregadas: solicitudes.entregadas || 0,
+            horas_promedio_entrega: solicitudes.entregadas ? Math.round(solicitudes.minutos_entrega / solicitudes.entregadas / 6) / 10 : null
+        }
+    };
+}
+
+const topContadores = (mapa) => Object.entries(mapa || {})
+    .map(([id, c]) => ({ id, citas: c.citas || 0, atendidas: c.atendidas || 0 }))
+    .filter(c => c.citas > 0)
+    .sort((a, b) => b.citas - a.citas)
+    .slice(0, TOP_ESTADISTICAS);
+
+const MINUTOS_ENLACE_EXPORTACION = 60;
+const MAX_DIAS_EXPORTACION = 366;
+const ESTADOS_CALENDARIO = ['aceptada', 'atendida'];
+const DIAS_HISTORIAL_CALENDARIO = 90;
+const ALCANCES_CALENDARIO = ['cliente', 'estudio'];
+const FORMATO_TOKEN_CALENDARIO = /^[a-f0-9]{48}$/;
+const REGION_FUNCIONES = 'us-central1';
+
+// Comillas dobles y neutraliza fórmulas (=, +, -, @) para que Excel no ejecute lo que escribió un cliente
+function celdaCsv(valor) {
+    if (valor === null || valor === undefined) return '';
+    let texto = String(valor);
+    if (typeof valor === 'string' && /^[=+\-@]/.test(texto)) texto = `'${texto}`;
+    return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+const filaCsv = (valores) => valores.map(celdaCsv).join(',');
+
+// Los archivos no quedan referenciados en Firestore, así que la limpieza de Storage los borra pasada la gracia
+async function guardarCsv(nombre, encabezados, filas) {
+    const ruta = `exportaciones/${nombre}_${format(new Date(), 'yyyyMMdd_HHmmss')}.csv`;
+    // El BOM hace que Excel abra el archivo como UTF-8 y respete las tildes
+    const contenido = '\uFEFF' + [filaCsv(encabezados), ...filas.map(filaCsv)].join('\r\n');
+    await storage.bucket().file(ruta).save(contenido, { contentType: 'text/csv; charset=utf-8' });
+
+    const url = await enlaceFirmado(ruta, MINUTOS_ENLACE_EXPORTACION, { responseDisposition: `attachment; filename="${path.posix.basename(ruta)}"` });
+    return { url, filas: filas.length, expira_en: new Date(Date.now() + MINUTOS_ENLACE_EXPORTACION * 60000).toISOString() };
+}
+
+// Inicio del día "desde" y fin del día "hasta" (yyyy-MM-dd) en la zona del estudio
+function rangoDias(desde, hasta, zona) {
+    validarTipo(desde, 'string', 'desde');
+    validarTipo(hasta, 'string', 'hasta');
+    const [inicio, fin] = [desde, hasta].map((dia) => {
+        const [y, m, d] = dia.split('-').map(Number);
+        return new TZDate(y, m - 1, d, zona);
+    });
+    if (isNaN(inicio) || isNaN(fin) || inicio > fin) throw new functions.https.HttpsError('invalid-argument', 'Rango de fechas inválido.');
+    if (fin - inicio > MAX_DIAS_EXPORTACION * 86400000) {
+        throw new functions.https.HttpsError('invalid-argument', `El rango no puede superar ${MAX_DIAS_EXPORTACION} días.`);
+    }
+    return { inicio, fin: endOfDay(fin) };
+}
+
+async function clientesPorUid(uids) {
+    const clientes = new Map();
+    const lista = [...new Set(uids.filter(u => u))];
+    for (let i = 0; i < lista.length; i += 100) {
+        const docs = await db.getAll(...lista.slice(i, i + 100).map(uid => db.collection('Clientes').doc(uid)));
+        docs.forEach(d => clientes.set(d.id, d.data() || {}));
+    }
+    return clientes;
+}
+
+const fechaIcs = (fecha) => fecha.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const textoIcs = (texto) => String(texto || '').replace(/\\/g, '\\\\').replace(/[;,]/g, m => `\\${m}`).replace(/\r?\n/g, '\\n');
+
+// RFC 5545: líneas de máximo 75 octetos, las siguientes empiezan con un espacio
+function plegarLineaIcs(linea) {
+    const partes = [];
+    let actual = '';
+    for (const caracter of linea) {
+        if (Buffer.byteLength(actual + caracter) > (partes.length ? 74 : 75)) {
+            partes.push(actual);
+            actual = '';
+        }
+        actual += caracter;
+    }
+    partes.push(actual);
+    return partes.join('\r\n ');
+}
+
+function generarIcs(nombre, citas, clientes) {
+    const lineas = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Enfoque//Citas//ES',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${textoIcs(nombre)}`
+    ];
+    citas.forEach((doc) => {
+        const cita = doc.data();
+        const inicio = cita.fecha.toDate();
+        const fin = cita.fecha_fin ? cita.fecha_fin.toDate() : addMinutes(inicio, cita.duracion_minutos || 60);
+        const cliente = clientes?.get(cita.uid_cliente);
+        lineas.push(
+            'BEGIN:VEVENT',
+            `UID:${doc.id}@enfoque`,
+            `DTSTAMP:${fechaIcs((cita.updatedAt || cita.createdAt)?.toDate() || new Date())}`,
+            `DTSTART:${fechaIcs(inicio)}`,
+            `DTEND:${fechaIcs(fin)}`,
+            `SUMMARY:${textoIcs(cliente ? `${cita.escenario_nombre || 'Sesión'} - ${cliente.name || 'Cliente'}` : `Sesión: ${cita.escenario_nombre || 'Enfoque'}`)}`,
+            `DESCRIPTION:${textoIcs(clientes ? cita.notas_admin || cita.notas_cliente : cita.notas_cliente)}`,
+            'STATUS:CONFIRMED',
+            'END:VEVENT'
+        );
+    });
+    lineas.push('END:VCALENDAR');
+    return lineas.map(plegarLineaIcs).join('\r\n') + '\r\n';
+}
+
+const DIAS_GRACIA_ELIMINACION = 14;
+const UID_ANONIMO = 'eliminado';
+const MAX_ELIMINACIONES_POR_CORRIDA = 20;
+
+// Timestamps a ISO para que la copia de datos sea JSON legible
+function serializarDatos(valor) {
+    if (valor instanceof admin.firestore.Timestamp) return valor.toDate().toISOString();
+    if (valor instanceof Date) return valor.toISOString();
+    if (Array.isArray(valor)) return valor.map(serializarDatos);
+    if (valor && typeof valor === 'object') return Object.fromEntries(Object.entries(valor).map(([k, v]) => [k, serializarDatos(v)]));
+    return valor;
+}
+
+async function datosDelCliente(uid) {
+    const porUsuario = (coleccion, campo) => db.collection(coleccion).where(campo, '==', uid).get();
+    const conHistorial = (snap) => Promise.all(snap.docs.map(async (d) => {
+        const historial = await d.ref.collection('historial').orderBy('fecha', 'asc').get();
+        return { id: d.id, ...d.data(), historial: historial.docs.map(h => h.data()) };
+    }));
+
+    const [cliente, citas, solicitudes, notificaciones, dispositivos, listaEspera, resenas, saldosPaquete, cotizaciones, calendarios] = await Promise.all([
+        db.collection('Clientes').doc(uid).get(),
+        porUsuario('Citas', 'uid_cliente'),
+        porUsuario('Solicitudes_Fotos', 'uid_cliente'),
+        porUsuario('Notificaciones', 'uid_usuario'),
+        porUsuario('Dispositivos', 'uid_usuario'),
+        porUsuario('Lista_Espera', 'uid_cliente'),
+        porUsuario('Resenas', 'uid_cliente'),
+        porUsuario('Saldos_Paquete', 'uid_cliente'),
+        porUsuario('Cotizaciones', 'uid_cliente'),
+        porUsuario('Calendarios', 'uid')
+    ]);
+
+    const promociones = await db.collection('Promociones').listDocuments();
+    const usosPromociones = [];
+    for (let i = 0; i < promociones.length; i += 100) {
+        const usos = await db.getAll(...promociones.slice(i, i + 100).map(ref => ref.collection('usos').doc(uid)));
+        usos.filter(u => u.exists).forEach(u => usosPromociones.push({ codigo: u.ref.parent.parent.id, ...u.data() }));
+    }
+
+    return {
+        uid,
+        generado_en: new Date(),
+        perfil: cliente.exists ? cliente.data() : null,
+        citas: await conHistorial(citas),
+        solicitudes_fotos: await conHistorial(solicitudes),
+        notificaciones: notificaciones.docs.map(d => ({ id: d.id, ...d.data() })),
+        // El token FCM es una credencial del dispositivo, no un dato personal
+        dispositivos: dispositivos.docs.map((d) => {
+            const dispositivo = { id: d.id, ...d.data() };
+            delete dispositivo.token_fcm;
+            return dispositivo;
+        }),
+        lista_espera: listaEspera.docs.map(d => ({ id: d.id, ...d.data() })),
+        resenas: resenas.docs.map(d => ({ id: d.id, ...d.data() })),
+        saldos_paquete: saldosPaquete.docs.map(d => ({ id: d.id, ...d.data() })),
+        cotizaciones: cotizaciones.docs.map(d => ({ id: d.id, ...d.data() })),
+        // El id del calendario es el token del enlace privado: se exporta solo qué incluye el enlace
+        calendarios: calendarios.docs.map(d => ({ alcance: d.data().alcance, createdAt: d.data().createdAt || null })),
+        usos_promociones: usosPromociones
+    };
+}
+
+async function borrarPrefijoStorage(prefix) {
+    const [files] = await storage.bucket().getFiles({ prefix });
+    await Promise.all(files.map(f => f.delete({ ignoreNotFound: true })));
+    return files.length;
+}
+
+// Borra por lotes todo lo que devuelve la consulta
+async function borrarConsulta(query) {
+    let borrados = 0;
+    while (true) {
+        const snap = await query.limit(TAMANO_PAGINA).get();
+        if (snap.empty) return borrados;
+        const batch = db.batch();
+        snap.docs.forEach(d => batch.delete(d.ref));
+        await batch.commit();
+        borrados += snap.size;
+        if (snap.size < TAMANO_PAGINA) return borrados;
+    }
+}
+
+// El historial conserva la traza de la cita o la solicitud, pero no quién la hizo
+async function anonimizarHistorial(batch, ref, uid) {
+    const snap = await ref.collection('historial').where('actor_uid', '==', uid).get();
+    snap.docs.forEach(d => batch.update(d.ref, { actor_uid: UID_ANONIMO, cambios: {} }));
+}
+
+// Las citas por venir se cancelan para liberar la agenda y el código promocional
+function cancelarCitaPorEliminacion(batch, doc, actualizacion) {
+    const cita = doc.data();
+    const liberar = {};
+    if (cita.agenda_id) liberar[cita.agenda_id] = [doc.id];
+    if (cita.reprogramacion?.estado === 'pendiente') {
+        liberar[cita.reprogramacion.agenda_id] = [...(liberar[cita.reprogramacion.agenda_id] || []), `${doc.id}_reprogramacion`];
+        actualizacion['reprogramacion.estado'] = 'descartada';
+    }
+    for (const [agendaId, claves] of Object.entries(liberar)) {
+        batch.update(db.collection('Agenda').doc(agendaId), liberarReservas(claves));
+    }
+    if (cita.agenda_personal_id) batch.update(db.collection('Agenda_Personal').doc(cita.agenda_personal_id), liberarReservas([doc.id]));
+    if (cita.promocion) batch.update(promocionRef(cita.promocion.codigo), { usos: admin.firestore.FieldValue.increment(-1) });
+
+    Object.assign(actualizacion, camposEstadoCita('cancelada_cliente'));
+    registrarHistorial(batch, doc.ref, {
+        actor_uid: UID_ANONIMO,
+        actor_rol: 'sistema',
+        estado_anterior: estadoCita(cita),
+        estado_nuevo: 'cancelada_cliente',
+        motivo: 'Cuenta eliminada'
+    });
+}
+
+// Citas y solicitudes se anonimizan porque sostienen la contabilidad y las estadísticas; lo demás se borra.
+// Cada paso registra su error y sigue, para que el reporte muestre qué quedó pendiente.
+async function borrarDatosCliente(uid) {
+    const resultado = {
+        citas_anonimizadas: 0,
+        citas_canceladas: 0,
+        solicitudes_anonimizadas: 0,
+        notificaciones: 0,
+        dispositivos: 0,
+        recordatorios: 0,
+        calendarios: 0,
+        cotizaciones: 0,
+        lista_espera: 0,
+        resenas_anonimizadas: 0,
+        archivos_borrados: 0,
+        cuenta_auth: null,
+        errores: []
+    };
+    const paso = async (nombre, accion) => {
+        try {
+            await accion();
+        } catch (error) {
+            resultado.errores.push({ paso: nombre, mensaje: error.message });
+        }
+    };
+
+    await paso('citas', async () => {
+        const citas = await db.collection('Citas').where('uid_cliente', '==', uid).get();
+        for (const doc of citas.docs) {
+            const cita = doc.data();
+            const batch = db.batch();
+            const actualizacion = {
+                uid_cliente: UID_ANONIMO,
+                notas_cliente: "",
+                anonimizada_en: admin.firestore.FieldValue.serverTimestamp(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            };
+            if (['espera', 'aceptada'].includes(estadoCita(cita)) && cita.fecha?.toMillis() > Date.now()) {
+                cancelarCitaPorEliminacion(batch, doc, actualizacion);
+                resultado.citas_canceladas++;
+            }
+            await anonimizarHistorial(batch, doc.ref, uid);
+            batch.update(doc.ref, actualizacion);
+            await batch.commit();
+            resultado.citas_anonimizadas++;
+        }
+    });
+
+    await paso('solicitudes', async () => {
+        const solicitudes = await db.collection('Solicitudes_Fotos').where('uid_cliente', '==', uid).get();
+        for (const doc of solicitudes.docs) {
+            for (const prefix of [`fotos/${doc.id}/`, `archivo/fotos/${doc.id}/`, `zips/${doc.id}/`]) {
+                resultado.archivos_borrados += await borrarPrefijoStorage(prefix);
+            }
+            const batch = db.batch();
+            await anonimizarHistorial(batch, doc.ref, uid);
+            batch.update(doc.ref, {
+                uid_cliente: UID_ANONIMO,
+                recibo_url: null,
+                recibos_anteriores: [],
+                referencia_pago: "",
+                fotos_urls: [],
+                fotos_variantes: admin.firestore.FieldValue.delete(),
+                zip: admin.firestore.FieldValue.delete(),
+                anonimizada_en: admin.firestore.FieldValue.serverTimestamp()
+            });
+            await batch.commit();
+            await db.recursiveDelete(doc.ref.collection('descargas'));
+            resultado.solicitudes_anonimizadas++;
+        }
+    });
+
+    await paso('recibos', async () => {
+        resultado.archivos_borrados += await borrarPrefijoStorage(`recibos/${uid}/`);
+    });
+    await paso('notificaciones', async () => {
+        resultado.notificaciones = await borrarConsulta(db.collection('Notificaciones').where('uid_usuario', '==', uid));
+    });
+    await paso('dispositivos', async () => {
+        resultado.dispositivos = await borrarConsulta(db.collection('Dispositivos').where('uid_usuario', '==', uid));
+        await borrarConsulta(db.collection('Push_Diferidos').where('uid_usuario', '==', uid));
+    });
+    await paso('recordatorios', async () => {
+        resultado.recordatorios = await borrarConsulta(db.collection('Recordatorios').where('uid_cliente', '==', uid));
+    });
+    await paso('cotizaciones', async () => {
+        resultado.cotizaciones = await borrarConsulta(db.collection('Cotizaciones').where('uid_cliente', '==', uid));
+    });
+    await paso('paquetes', async () => {
+        await borrarConsulta(db.collection('Saldos_Paquete').where('uid_cliente', '==', uid));
+    });
+    await paso('calendarios', async () => {
+        resultado.calendarios = await borrarConsulta(db.collection('Calendarios').where('uid', '==', uid));
+    });
+    await paso('resenas', async () => {
+        // La calificación se conserva para el promedio del escenario; se quita lo que identifica al cliente
+        const resenas = await db.collection('Resenas').where('uid_cliente', '==', uid).get();
+        for (let i = 0; i < resenas.size; i += TAMANO_PAGINA) {
+            const batch = db.batch();
+            resenas.docs.slice(i, i + TAMANO_PAGINA).forEach(d => batch.update(d.ref, { uid_cliente: UID_ANONIMO, cliente_nombre: "", comentario: "" }));
+            await batch.commit();
+        }
+        resultado.resenas_anonimizadas = resenas.size;
+    });
+    await paso('lista_espera', async () => {
+        // Las ofertas abiertas se pasan al siguiente antes de borrar las entradas
+        const ofertadas = await db.collection('Lista_Espera').where('uid_cliente', '==', uid).where('estado', '==', 'ofertada').get();
+        for (const doc of ofertadas.docs) {
+            await doc.ref.update({ estado: 'cancelada' });
+            await ofrecerSlot(doc.data().escenario_id, doc.data().dia, slotDeOferta(doc.data().oferta), claveListaEspera(doc.id));
+        }
+        resultado.lista_espera = await borrarConsulta(db.collection('Lista_Espera').where('uid_cliente', '==', uid));
+    });
+    await paso('promociones', async () => {
+        const promociones = await db.collection('Promociones').listDocuments();
+        for (let i = 0; i < promociones.length; i += TAMANO_PAGINA) {
+            const batch = db.batch();
+            promociones.slice(i, i + TAMANO_PAGINA).forEach(ref => batch.delete(ref.collection('usos').doc(uid)));
+            await batch.commit();
+        }
+    });
+    await paso('perfil', async () => {
+        await db.recursiveDelete(db.collection('Clientes').doc(uid));
+    });
+    await paso('auth', async () => {
+        try {
+            await admin.auth().deleteUser(uid);
+            resultado.cuenta_auth = 'eliminada';
+        } catch (error) {
+            if (error.code !== 'auth/user-not-found') throw error;
+            resultado.cuenta_auth = 'no_existia';
+        }
+    });
+
+    return resultado;
+}
+
+
+// Valida y reserva una cita nueva. Si viene de una oferta de la lista de espera, el bloque ya estaba
+// apartado para este cliente y la reserva reemplaza el apartado en la misma transacción.
+async function reservarCita(uid, data, { listaEsperaId = null } = {}) {
+    validarTipo(data.fecha, 'string', 'fecha');
+    validarTipo(data.escenario_id, 'string', 'escenario_id');
+    
+    const fechaCita = new Date(data.fecha); 
+    if (isNaN(fechaCita)) throw new functions.https.HttpsError('invalid-argument', 'Fecha inválida.');
+    if (fechaCita.getTime() <= Date.now()) throw new functions.https.HttpsError('invalid-argument', 'La fecha de la cita ya pasó.');
+
+    // Regla: Bloqueo por cancelaciones tardías o inasistencias (ver Configuracion/penalizacion)
+    const clienteSnap = await db.collection('Clientes').doc(uid).get();
+    const bloqueo = bloqueoVigente(clienteSnap.data());
+    if (bloqueo) {
+        const hasta = format(new TZDate(bloqueo.hasta.toDate(), HORARIO_POR_DEFECTO.zona_horaria), 'dd/MM/yyyy');
+        throw new functions.https.HttpsError('failed-precondition', `Citas bloqueadas hasta el ${hasta} por cancelaciones frecuentes.`);
+    }
+
+    await validarUnaCitaPorDia(uid, fechaCita);
+    const { escenario, horario, duracion, dia, slot } = await resolverSlot(data.escenario_id, fechaCita);
+    const cotizacion = await cotizacionParaCita(uid, data.escenario_id, escenario, data);
+    const candidatos = await candidatosPersonal(data.escenario_id, slot, horario.zona_horaria);
+    const codigoPromocion = data.codigo_promocion ? normalizarCodigo(data.codigo_promocion) : null;
+    if (codigoPromocion && data.saldo_paquete_id) {
+        throw new functions.https.HttpsError('invalid-argument', 'Las sesiones de un paquete ya pagado no admiten códigos promocionales.');
+    }
+
+    // La cita que compra un paquete abre su saldo; las siguientes lo consumen
+    const saldoRef = data.saldo_paquete_id ? saldoPaqueteRef(data.saldo_paquete_id) : (cotizacion.paquete ? db.collection('Saldos_Paquete').doc() : null);
+    const nuevoSaldo = cotizacion.paquete && !data.saldo_paquete_id ? {
+        uid_cliente: uid,
+        paquete: cotizacion.paquete,
+        categorias: (await db.collection('Paquetes').doc(cotizacion.paquete.id).get()).data()?.categorias || [],
+        sesiones_total: cotizacion.paquete.sesiones,
+        sesiones_restantes: cotizacion.paquete.sesiones - 1,
+        fotos_editadas_restantes: cotizacion.paquete.fotos_editadas,
+        citas: [],
+        estado: 'activo',
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+    } : null;
+    const entradaRef = listaEsperaId ? db.collection('Lista_Espera').doc(listaEsperaId) : null;
+    const apartado = listaEsperaId ? claveListaEspera(listaEsperaId) : null;
+
+    const citaRef = db.collection('Citas').doc();
+    const agenda = agendaRef(data.escenario_id, dia);
+    const reserva = {
+        inicio: admin.firestore.Timestamp.fromDate(slot.inicio),
+        fin: admin.firestore.Timestamp.fromDate(slot.fin)
+    };
+
+    // Solo se guardan campos conocidos; el precio sale de la cotización, nunca del cliente
+    const nuevaCita = {
+        escenario_id: data.escenario_id,
+        notas_cliente: typeof data.notas_cliente === 'string' ? data.notas_cliente : "",
+        cotizacion: { ...cotizacion, congelada_en: admin.firestore.Timestamp.now() },
+        uid_cliente: uid,
+        escenario_nombre: escenario.nombre,
+        escenario_img_principal: escenario.img_principal || "",
+        escenario_categoria: escenario.categoria || "",
+        fecha: reserva.inicio,
+        fecha_fin: reserva.fin,
+        duracion_minutos: duracion,
+        agenda_id: agenda.id,
+        primera_cita: !clienteSnap.data()?.ultima_cita_en,
+        ...(saldoRef ? { saldo_paquete_id: saldoRef.id } : {}),
+        ...(listaEsperaId ? { lista_espera_id: listaEsperaId } : {}),
+        ...camposEstadoCita('espera'),
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    // La reserva del bloque y la cita se escriben juntas para evitar sesiones traslapadas
+    await db.runTransaction(async (tx) => {
+        const agendaSnap = await tx.get(agenda);
+        const actuales = agendaSnap.exists ? agendaSnap.data().reservas : {};
+        if (entradaRef) {
+            const oferta = (await tx.get(entradaRef)).data();
+            if (oferta?.estado !== 'ofertada' || oferta.uid_cliente !== uid || !actuales[apartado]) {
+                throw new functions.https.HttpsError('failed-precondition', 'La oferta ya no está disponible.');
+            }
+            if (oferta.oferta.expira_en.toMillis() <= Date.now()) throw new functions.https.HttpsError('deadline-exceeded', 'La oferta expiró.');
+        }
+        const reservas = apartado ? sinReservas(actuales, apartado) : actuales;
+        // Regla: el saldo se revisa otra vez aquí para que dos reservas no gasten la misma sesión
+        if (saldoRef && !nuevoSaldo) {
+            const saldo = (await tx.get(saldoRef)).data();
+            if (saldo.estado !== 'activo' || saldo.sesiones_restantes < 1) {
+                throw new functions.https.HttpsError('failed-precondition', 'El paquete ya no tiene sesiones disponibles.');
+            }
+        }
+        if (slotOcupado(slot, reservas, horario.buffer_minutos)) {
+            throw new functions.https.HttpsError('already-exists', 'El horario seleccionado ya no está disponible.');
+        }
+        // Regla: si el estudio maneja personal, alguien tiene que poder atender ese bloque. Se le aparta
+        // desde ya para que otra reserva a la misma hora no cuente con la misma persona
+        const elegido = candidatos ? await elegirPersonalLibre(tx, candidatos, slot, dia, horario.buffer_minutos) : null;
+        if (candidatos && !elegido) {
+            throw new functions.https.HttpsError('failed-precondition', 'No hay personal disponible en ese horario.');
+        }
+
+        // El código se valida y se cuenta dentro de la transacción para que los límites no se puedan superar
+        if (codigoPromocion) {
+            const promoRef = promocionRef(codigoPromocion);
+            const usoRef = promoRef.collection('usos').doc(uid);
+            const [promoSnap, usoSnap] = await Promise.all([tx.get(promoRef), tx.get(usoRef)]);
+            const monto = evaluarPromocion(promoSnap.data(), usoSnap.data()?.cantidad || 0, { escenarioId: data.escenario_id, escenario, cotizacion });
+
+            nuevaCita.promocion = resumenPromocion(codigoPromocion, promoSnap.data(), monto, cotizacion);
+            tx.update(promoRef, { usos: admin.firestore.FieldValue.increment(1) });
+            tx.set(usoRef, {
+                cantidad: admin.firestore.FieldValue.increment(1),
+                citas: admin.firestore.FieldValue.arrayUnion(citaRef.id),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+        }
+
+        tx.set(agenda, {
+            escenario_id: data.escenario_id,
+            fecha: dia,
+            reservas: {
+                ...(apartado ? { [apartado]: admin.firestore.FieldValue.delete() } : {}),
+                [citaRef.id]: reserva
+            },
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+        if (elegido) Object.assign(nuevaCita, asignarPersonal(tx, elegido, {}, citaRef.id, dia, reserva));
+        tx.set(citaRef, nuevaCita);
+        if (nuevoSaldo) {
+            tx.set(saldoRef, { ...nuevoSaldo, cita_compra: citaRef.id, citas: [citaRef.id] });
+        } else if (saldoRef) {
+            tx.update(saldoRef, {
+                sesiones_restantes: admin.firestore.FieldValue.increment(-1),
+                citas: admin.firestore.FieldValue.arrayUnion(citaRef.id),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+        if (entradaRef) {
+            tx.update(entradaRef, { estado: 'asignada', cita_id: citaRef.id, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        }
+        tx.set(db.collection('Clientes').doc(uid), { ultima_cita_en: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+        registrarHistorial(tx, citaRef, { actor_uid: uid, actor_rol: 'cliente', estado_nuevo: 'espera' });
+    });
+
+    return citaRef.id;
+}
+
+// Lista de espera por escenario y día: cuando se libera un bloque se aparta para el primero de la fila
+const MINUTOS_OFERTA_LISTA_ESPERA = 120;
+const MINUTOS_MINIMOS_OFERTA = 30;
+const ESTADOS_LISTA_ESPERA_ACTIVA = ['esperando', 'ofertada'];
+const MAX_CANDIDATOS_OFERTA = 10;
+
+const claveListaEspera = (entradaId) => `${entradaId}_lista_espera`;
+
+// Por qué el cliente no podría reservar ese día (mismas reglas que crearCita), o null si sí puede
+async function motivoSinCupo(uid, fecha) {
+    const clienteSnap = await db.collection('Clientes').doc(uid).get();
+    if (bloqueoVigente(clienteSnap.data())) return 'bloqueo_citas';
+    if (await tieneCitaEseDia(uid, fecha)) return 'cita_mismo_dia';
+    return null;
+}
+
+// Aparta el bloque para el siguiente en la fila y le avisa. claveAnterior es el apartado de una oferta que
+// se pasa (expirada o rechazada); si nadie lo toma se libera.
+async function ofrecerSlot(escenarioId, dia, slot, claveAnterior = null) {
+    const agenda = agendaRef(escenarioId, dia);
+    const soltarAnterior = async () => {
+        if (claveAnterior) await agenda.update(liberarReservas([claveAnterior]));
+        return null;
+    };
+    // Regla: no se ofrecen bloques que empiezan tan pronto que el cliente no alcanzaría a llegar
+    if (slot.inicio.getTime() - Date.now() < MINUTOS_MINIMOS_OFERTA * 60000) return soltarAnterior();
+
+    const { buffer_minutos, zona_horaria } = await obtenerHorario();
+    const fila = await db.collection('Lista_Espera')
+        .where('escenario_id', '==', escenarioId)
+        .where('dia', '==', dia)
+        .where('estado', '==', 'esperando')
+        .orderBy('createdAt', 'asc')
+        .limit(MAX_CANDIDATOS_OFERTA)
+        .get();
+
+    for (const doc of fila.docs) {
+        const clave = claveListaEspera(doc.id);
+        const expira = new Date(Math.min(Date.now() + MINUTOS_OFERTA_LISTA_ESPERA * 60000, slot.inicio.getTime()));
+        // Quien ya no podría reservar (bloqueado o con otra cita ese día) sale de la fila y se sigue con el siguiente
+        const descarte = await motivoSinCupo(doc.data().uid_cliente, slot.inicio);
+
+        const resultado = await db.runTransaction(async (tx) => {
+            const [entradaSnap, agendaSnap] = await Promise.all([tx.get(doc.ref), tx.get(agenda)]);
+            if (entradaSnap.data()?.estado !== 'esperando') return 'omitida';
+            if (descarte) {
+                tx.update(doc.ref, { estado: 'descartada', motivo: descarte, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+                return 'omitida';
+            }
+            const reservas = sinReservas(agendaSnap.exists ? agendaSnap.data().reservas : {}, claveAnterior);
+            if (slotOcupado(slot, reservas, buffer_minutos)) return 'ocupado';
+
+            const reserva = { inicio: admin.firestore.Timestamp.fromDate(slot.inicio), fin: admin.firestore.Timestamp.fromDate(slot.fin) };
+            tx.set(agenda, {
+                escenario_id: escenarioId,
+                fecha: dia,
+                reservas: {
+                    ...(claveAnterior ? { [claveAnterior]: admin.firestore.FieldValue.delete() } : {}),
+                    [clave]: reserva
+                },
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+            tx.update(doc.ref, {
+                estado: 'ofertada',
+                oferta: { ...reserva, expira_en: admin.firestore.Timestamp.fromDate(expira), ofrecida_en: admin.firestore.Timestamp.now() },
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return 'ofertada';
+        });
+
+        // Otra reserva ganó el bloque: ya no hay nada que ofrecer ni apartado que soltar
+        if (resultado === 'ocupado') return null;
+        if (resultado !== 'ofertada') continue;
+
+        const entrada = doc.data();
+        const mensaje = `Se liberó un horario en ${entrada.escenario_nombre} el ${fechaLegible(slot.inicio, zona_horaria)}. ` +
+            `Tienes hasta las ${format(new TZDate(expira, zona_horaria), 'HH:mm')} para tomarlo.`;
+        await notificarUsuario(entrada.uid_cliente, "Horario disponible", 'lista_espera', mensaje, null, { lista_espera_id: doc.id })
+            .catch(e => console.error(`Error avisando oferta ${doc.id}:`, e.message));
+        return doc.id;
+    }
+    return soltarAnterior();
+}
+
+const slotDeOferta = (oferta) => ({ inicio: oferta.inicio.toDate(), fin: oferta.fin.toDate() });
+
+// Reseñas: una por cita atendida, con el id de la cita. El promedio del escenario solo cuenta las visibles
+const MAX_LARGO_COMENTARIO = 1000;
+const CAMPOS_CALIFICACION = ['calificacion_promedio', 'calificacion_suma', 'resenas_total'];
+
+function validarCalificacion(valor, nombreCampo) {
+    if (!Number.isInteger(valor) || valor < 1 || valor > 5) {
+        throw new functions.https.HttpsError('invalid-argument', `El campo ${nombreCampo} debe ser un entero de 1 a 5.`);
+    }
+}
+
+// Suma (signo 1) o resta (signo -1) una reseña del escenario, leído antes en la misma transacción
+function aplicarCalificacion(tx, escenarioSnap, calificacion, signo) {
+    if (!escenarioSnap.exists) return;
+    const { calificacion_suma = 0, resenas_total = 0 } = escenarioSnap.data();
+    const suma = calificacion_suma + signo * calificacion;
+    const total = resenas_total + signo;
+    tx.update(escenarioSnap.ref, {
+        calificacion_suma: suma,
+        resenas_total: total,
+        calificacion_promedio: total ? Number((suma / total).toFixed(2)) : 0
+    });
+}
+
+function resenaPublica(doc) {
+    const { createdAt, fecha_cita, moderada_en, respuesta, ...resena } = doc.data();
+    return {
+        id: doc.id,
+        ...resena,
+        fecha_cita: fecha_cita ? fecha_cita.toDate().toISOString() : null,
+        respuesta: respuesta ? { texto: respuesta.texto, respondida_en: respuesta.respondida_en.toDate().toISOString() } : null,
+        moderada_en: moderada_en ? moderada_en.toDate().toISOString() : null,
+        createdAt: createdAt.toDate().toISOString()
+    };
+}
+
+
+exports.crearEscenario = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'catalogo')) {
+            throw new functions.https.HttpsError('permission-denied', 'Solo administradores pueden crear escenarios.');
+        }
+
+        validarTipo(data.nombre, 'string', 'nombre');
+        validarTipo(data.categoria, 'string', 'categoria');
+        validarTipo(data.especial, 'boolean', 'especial');
+        await validarCategoria(data.categoria, data.sub_categoria);
+        if (!data.especial) validarPrecio(data.precio_base, 'precio_base');
+        if (data.recargo_traje !== undefined) validarPrecio(data.recargo_traje, 'recargo_traje');
+
+        const { nombre, categoria, sub_categoria, descripcion, especial, tiempo_sesion, lleva_traje, img_principal, list_img, precio_base, recargo_traje } = data;
+
+        return await db.collection('Escenarios').add({
+            nombre,
+            categoria,
+            sub_categoria: sub_categoria || "",
+            descripcion: descripcion || "",
+            especial: especial || false,
+            tiempo_sesion: especial ? null : (Number(tiempo_sesion) || 0),
+            lleva_traje: lleva_traje || false,
+            precio_base: especial ? null : precio_base,
+            recargo_traje: lleva_traje ? (recargo_traje || 0) : 0,
+            img_principal: img_principal || "",
+            list_img: Array.isArray(list_img) ? list_img.slice(0, 5) : [],
+            // Las llena sincronizarVariantesEscenario cuando las imágenes estén procesadas
+            variantes: {},
+            calificacion_promedio: 0,
+            calificacion_suma: 0,
+            resenas_total: 0,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.actualizarEscenario = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'catalogo')) {
+            throw new functions.https.HttpsError('permission-denied', 'No tienes permisos.');
+        }
+
+        const { id, ...campos } = data;
+        if (!id) throw new functions.https.HttpsError('invalid-argument', 'Falta el ID del escenario.');
+        // El promedio solo lo mueven las reseñas
+        CAMPOS_CALIFICACION.forEach(campo => delete campos[campo]);
+
+        const docRef = db.collection('Escenarios').doc(id);
+        const docSnap = await docRef.get();
+        if (!docSnap.exists) throw new functions.https.HttpsError('not-found', 'Escenario no encontrado');
+        
+        const oldData = docSnap.data();
+
+        if (campos.precio_base !== undefined && campos.precio_base !== null) validarPrecio(campos.precio_base, 'precio_base');
+        if (campos.recargo_traje !== undefined) validarPrecio(campos.recargo_traje, 'recargo_traje');
+
+        if (campos.categoria !== undefined || campos.sub_categoria !== undefined) {
+            const categoria = campos.categoria ?? oldData.categoria;
+            // Al cambiar de categoría la sub-categoría anterior deja de aplicar
+            const subCategoria = campos.sub_categoria ?? (campos.categoria !== undefined ? "" : oldData.sub_categoria);
+            validarTipo(categoria, 'string', 'categoria');
+            await validarCategoria(categoria, subCategoria);
+            campos.categoria = categoria;
+            campos.sub_categoria = subCategoria || "";
+        }
+
+        if (campos.img_principal && oldData.img_principal !== campos.img_principal) {
+            await borrarImagenStorage(oldData.img_principal);
+        }
+
+        if (oldData.list_img && campos.list_img) {
+            const eliminar = oldData.list_img.filter(img => !campos.list_img.includes(img));
+            for (const img of eliminar) await borrarImagenStorage(img);
+        }
+
+        // Las variantes las mantiene sincronizarVariantesEscenario según las imágenes referenciadas
+        delete campos.variantes;
+
+        await docRef.update({
+            ...campos,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return { success: true };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.eliminarEscenario = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'catalogo')) {
+            throw new functions.https.HttpsError('permission-denied', 'Solo administradores.');
+        }
+
+        const { id } = data;
+        const docRef = db.collection('Escenarios').doc(id);
+        const docSnap = await docRef.get();
+        if (!docSnap.exists) return { success: true };
+        
+        const escenario = docSnap.data();
+
+        if (escenario.img_principal) await borrarImagenStorage(escenario.img_principal);
+        if (escenario.list_img) {
+            for (const img of escenario.list_img) await borrarImagenStorage(img);
+        }
+
+        await docRef.delete();
+        return { success: true };
+    } catch (error) {
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+exports.consultarEscenarios = functions.https.onCall(async (data, context) => {
+    try {
+        const { limit = 20, lastDocId, terminoBusqueda, categoria, sub_categoria, especial, lleva_traje, orden } = data;
+        const limite = Math.min(Number(limit) || 20, TAMANO_PAGINA);
+        if (orden !== undefined && !['recientes', 'calificacion'].includes(orden)) {
+            throw new functions.https.HttpsError('invalid-argument', 'El orden debe ser recientes o calificacion.');
+        }
+        // Solo hay índices para ordenar por calificación con un filtro a la vez
+        const filtros = [categoria, sub_categoria, typeof especial === 'boolean', typeof lleva_traje === 'boolean', palabrasNormalizadas(terminoBusqueda).length];
+        if (orden === 'calificacion' && filtros.filter(Boolean).length > 1) {
+            throw new functions.https.HttpsError('invalid-argument', 'Para ordenar por calificación usa un solo filtro o búsqueda a la vez.');
+        }
+        let query = db.collection('Escenarios');
+
+        if (categoria) query = query.where('categoria', '==', categoria);
+        if (sub_categoria) query = query.where('sub_categoria', '==', sub_categoria);
+        if (typeof especial === 'boolean') query = query.where('especial', '==', especial);
+        if (typeof lleva_traje === 'boolean') query = query.where('lleva_traje', '==', lleva_traje);
+
+        // Firestore solo admite un array-contains: se filtra por la palabra más larga y el resto en memoria
+        const palabras = [...new Set(palabrasNormalizadas(terminoBusqueda).map(p => p.slice(0, MAX_LARGO_PREFIJO)))]
+            .sort((a, b) => b.length - a.length);
+        if (palabras.length) query = query.where('busqueda_tokens', 'array-contains', palabras[0]);
+
+        // Los escenarios anteriores a las reseñas reciben calificacion_promedio al correr reindexarEscenarios en el despliegue
+        if (orden === 'calificacion') query = query.orderBy('calificacion_promedio', 'desc');
+        query = query.orderBy('createdAt', 'desc');
+
+        if (lastDocId) {
+            const lastDoc = await db.collection('Escenarios').doc(lastDocId).get();
+            if (lastDoc.exists) query = query.startAfter(lastDoc);
+        }
+
+        const resultados = [];
+        const coincide = (doc) => palabras.every(p => (doc.data().busqueda_tokens || []).includes(p));
+
+        // El cursor es el último escenario revisado, coincida o no: así una zona sin coincidencias no frena la paginación
+        let ultimo = null;
+        let hayMas = false;
+        for (let pagina = 0; pagina < MAX_PAGINAS_BUSQUEDA && resultados.length < limite; pagina++) {
+            const snap = await query.limit(limite).get();
+            hayMas = snap.size === limite;
+            for (const [i, doc] of snap.docs.entries()) {
+                ultimo = doc;
+                if (coincide(doc)) resultados.push(doc);
+                if (resultados.length === limite) {
+                    hayMas = hayMas || i < snap.size - 1;
+                    break;
+                }
+            }
+            if (!hayMas) break;
+            query = query.startAfter(snap.docs[snap.size - 1]);
+        }
+
+        return {
+            escenarios: resultados.map(doc => {
+                const escenario = { id: doc.id, ...doc.data() };
+                delete escenario.busqueda_tokens;
+                return escenario;
+            }),
+            ultimo_id: ultimo ? ultimo.id : null,
+            hay_mas: hayMas
+        };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.reindexarEscenarios = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'catalogo')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+
+        let actualizados = 0;
+        for await (const docs of paginar(db.collection('Escenarios').orderBy(admin.firestore.FieldPath.documentId()))) {
+            const batch = db.batch();
+            // Los escenarios sin calificación no aparecerían al ordenar por calificacion_promedio
+            docs.forEach(d => batch.update(d.ref, {
+                busqueda_tokens: tokensBusqueda(d.data()),
+                ...Object.fromEntries(CAMPOS_CALIFICACION.map(c => [c, d.data()[c] ?? 0]))
+            }));
+            await batch.commit();
+            actualizados += docs.length;
+        }
+        return { success: true, actualizados };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.crearResena = functions.https.onCall(async (data, context) => {
+    try {
+        const uid = context.auth?.uid;
+        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'Debes iniciar sesión');
+        validarTipo(data.cita_id, 'string', 'cita_id');
+        validarCalificacion(data.calificacion, 'calificacion');
+        if (data.calificacion_sesion !== undefined) validarCalificacion(data.calificacion_sesion, 'calificacion_sesion');
+        if (data.comentario !== undefined) validarTipo(data.comentario, 'string', 'comentario');
+        const comentario = (data.comentario || "").trim();
+        if (comentario.length > MAX_LARGO_COMENTARIO) {
+            throw new functions.https.HttpsError('invalid-argument', `El comentario no puede superar ${MAX_LARGO_COMENTARIO} caracteres.`);
+        }
+
+        const citaRef = db.collection('Citas').doc(data.cita_id);
+        const resenaRef = db.collection('Resenas').doc(data.cita_id);
+
+        await db.runTransaction(async (tx) => {
+            const [citaSnap, resenaSnap, clienteSnap] = await tx.getAll(citaRef, resenaRef, db.collection('Clientes').doc(uid));
+            const cita = citaSnap.data();
+            if (!citaSnap.exists || cita.uid_cliente !== uid) throw new functions.https.HttpsError('not-found', 'Cita no encontrada');
+            // Regla: solo se reseña una sesión que se atendió, y una sola vez
+            if (estadoCita(cita) !== 'atendida') throw new functions.https.HttpsError('failed-precondition', 'Solo puedes calificar citas atendidas.');
+            if (resenaSnap.exists) throw new functions.https.HttpsError('already-exists', 'Ya calificaste esta cita.');
+
+            const escenarioSnap = await tx.get(db.collection('Escenarios').doc(cita.escenario_id));
+            tx.create(resenaRef, {
+                cita_id: citaRef.id,
+                uid_cliente: uid,
+                cliente_nombre: (clienteSnap.data()?.name || "").trim().split(/\s+/)[0],
+                escenario_id: cita.escenario_id,
+                escenario_nombre: cita.escenario_nombre || "",
+                personal_id: cita.personal_id || null,
+                fecha_cita: cita.fecha,
+                calificacion: data.calificacion,
+                calificacion_sesion: data.calificacion_sesion ?? null,
+                comentario,
+                visible: true,
+                respuesta: null,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            aplicarCalificacion(tx, escenarioSnap, data.calificacion, 1);
+        });
+
+        return { success: true, id: resenaRef.id };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+// Público solo ve las visibles de un escenario; quien modera puede ver todas, también sin escenario
+exports.consultarResenas = functions.https.onCall(async (data, context) => {
+    try {
+        const { limit = 20, lastDocId, escenario_id, incluir_ocultas } = data;
+        const moderador = incluir_ocultas === true && tienePermiso(context, 'resenas');
+        if (!moderador) validarTipo(escenario_id, 'string', 'escenario_id');
+
+        let query = db.collection('Resenas');
+        if (escenario_id) query = query.where('escenario_id', '==', escenario_id);
+        if (!moderador) query = query.where('visible', '==', true);
+        query = query.orderBy('createdAt', 'desc');
+
+        if (lastDocId) {
+            const lastDoc = await db.collection('Resenas').doc(lastDocId).get();
+            if (lastDoc.exists) query = query.startAfter(lastDoc);
+        }
+
+        const snap = await query.limit(Math.min(Number(limit) || 20, TAMANO_PAGINA)).get();
+        return snap.docs.map((doc) => {
+            const resena = resenaPublica(doc);
+            if (!moderador) ['uid_cliente', 'moderada_por', 'motivo_moderacion'].forEach(campo => delete resena[campo]);
+            return resena;
+        });
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.ocultarResena = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'resenas')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+        validarTipo(data.id, 'string', 'id');
+        validarTipo(data.oculta, 'boolean', 'oculta');
+
+        const resenaRef = db.collection('Resenas').doc(data.id);
+        await db.runTransaction(async (tx) => {
+            const resenaSnap = await tx.get(resenaRef);
+            if (!resenaSnap.exists) throw new functions.https.HttpsError('not-found', 'Reseña no encontrada');
+            const resena = resenaSnap.data();
+            if (resena.visible === !data.oculta) return;
+
+            const escenarioSnap = await tx.get(db.collection('Escenarios').doc(resena.escenario_id));
+            aplicarCalificacion(tx, escenarioSnap, resena.calificacion, data.oculta ? -1 : 1);
+            tx.update(resenaRef, {
+                visible: !data.oculta,
+                motivo_moderacion: data.motivo || "",
+                moderada_por: context.auth.uid,
+                moderada_en: admin.firestore.Timestamp.now()
+            });
+        });
+
+        return { success: true };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+// Una respuesta vacía borra la anterior
+exports.responderResena = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'resenas')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+        validarTipo(data.id, 'string', 'id');
+        validarTipo(data.respuesta, 'string', 'respuesta');
+        const texto = data.respuesta.trim();
+        if (texto.length > MAX_LARGO_COMENTARIO) {
+            throw new functions.https.HttpsError('invalid-argument', `La respuesta no puede superar ${MAX_LARGO_COMENTARIO} caracteres.`);
+        }
+
+        const resenaRef = db.collection('Resenas').doc(data.id);
+        const resenaSnap = await resenaRef.get();
+        if (!resenaSnap.exists) throw new functions.https.HttpsError('not-found', 'Reseña no encontrada');
+
+        await resenaRef.update({
+            respuesta: texto ? { texto, autor_uid: context.auth.uid, respondida_en: admin.firestore.Timestamp.now() } : null
+        });
+
+        const resena = resenaSnap.data();
+        if (texto && resena.uid_cliente !== UID_ANONIMO) {
+            await notificarUsuario(resena.uid_cliente, resena.escenario_nombre || "Reseña", 'resena', 'El estudio respondió a tu reseña.', null, { resena_id: data.id })
+                .catch(e => console.error(`Error avisando respuesta de reseña ${data.id}:`, e.message));
+        }
+        return { success: true };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.crearCategoria = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'catalogo')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+
+        validarTipo(data.nombre, 'string', 'nombre');
+        const nombre = data.nombre.trim();
+        const slug = generarSlug(nombre);
+        if (!slug) throw new functions.https.HttpsError('invalid-argument', 'Nombre de categoría inválido.');
+        await validarSlugCategoriaLibre(slug);
+
+        const ref = await db.collection('Categorias').add({
+            nombre,
+            slug,
+            orden: Number(data.orden) || 0,
+            icono: data.icono || "",
+            activa: data.activa !== false,
+            sub_categorias: normalizarSubCategorias(data.sub_categorias || []),
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return { success: true, id: ref.id };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.actualizarCategoria = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'catalogo')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+        validarTipo(data.id, 'string', 'id');
+
+        const ref = db.collection('Categorias').doc(data.id);
+        if (!(await ref.get()).exists) throw new functions.https.HttpsError('not-found', 'Categoría no encontrada');
+        const previa = await aplicarCascadaCategoria(ref);
+        const actual = (await ref.get()).data();
+
+        const cambios = {};
+        if (data.nombre !== undefined) {
+            validarTipo(data.nombre, 'string', 'nombre');
+            cambios.nombre = data.nombre.trim();
+            cambios.slug = generarSlug(cambios.nombre);
+            if (!cambios.slug) throw new functions.https.HttpsError('invalid-argument', 'Nombre de categoría inválido.');
+            await validarSlugCategoriaLibre(cambios.slug, data.id);
+        }
+        if (data.orden !== undefined) cambios.orden = Number(data.orden) || 0;
+        if (data.icono !== undefined) cambios.icono = data.icono || "";
+        if (data.activa !== undefined) {
+            validarTipo(data.activa, 'boolean', 'activa');
+            cambios.activa = data.activa;
+        }
+
+        const nombreFinal = cambios.nombre ?? actual.nombre;
+        const renombradas = [];
+        if (data.sub_categorias !== undefined) {
+            cambios.sub_categorias = normalizarSubCategorias(data.sub_categorias);
+            const nuevas = new Map(cambios.sub_categorias.map(sc => [sc.id, sc]));
+
+            for (const anterior of actual.sub_categorias || []) {
+                const nueva = nuevas.get(anterior.id);
+                if (!nueva) {
+                    // Regla: no se borra una sub-categoría que todavía usan escenarios
+                    if (await contarEscenarios({ categoria: actual.nombre, sub_categoria: anterior.nombre })) {
+                        throw new functions.https.HttpsError('failed-precondition', `La sub-categoría "${anterior.nombre}" tiene escenarios asignados.`);
+                    }
+                } else if (nueva.nombre !== anterior.nombre) {
+                    renombradas.push({ anterior: anterior.nombre, nueva: nueva.nombre });
+                }
+            }
+        }
+
+        if (renombradas.length || nombreFinal !== actual.nombre) {
+            cambios.cascada_pendiente = { categoria_anterior: actual.nombre, categoria_nueva: nombreFinal, sub_categorias: renombradas };
+        }
+        await ref.update({ ...cambios, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        const cascada = await aplicarCascadaCategoria(ref);
+
+        return {
+            success: true,
+            escenarios_actualizados: previa.escenarios + cascada.escenarios,
+            citas_actualizadas: previa.citas + cascada.citas
+        };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.eliminarCategoria = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'catalogo')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+        validarTipo(data.id, 'string', 'id');
+
+        const ref = db.collection('Categorias').doc(data.id);
+        const snap = await ref.get();
+        if (!snap.exists) return { success: true };
+
+        const enUso = await contarEscenarios({ categoria: snap.data().nombre });
+        if (enUso) {
+            throw new functions.https.HttpsError('failed-precondition', `La categoría tiene ${enUso} escenarios asignados. Reasígnalos o desactívala.`);
+        }
+
+        await ref.delete();
+        return { success: true };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.consultarCategorias = functions.https.onCall(async (data, context) => {
+    try {
+        const incluirInactivas = !!data?.incluir_inactivas && tienePermiso(context, 'catalogo');
+        const snap = await db.collection('Categorias').orderBy('orden', 'asc').get();
+
+        const categorias = snap.docs
+            .map(d => ({ id: d.id, ...d.data() }))
+            .filter(c => incluirInactivas || c.activa !== false);
+
+        return await Promise.all(categorias.map(async (c) => {
+            const subCategorias = (c.sub_categorias || []).filter(sc => incluirInactivas || sc.activa !== false);
+            return {
+                id: c.id,
+                nombre: c.nombre,
+                slug: c.slug,
+                orden: c.orden,
+                icono: c.icono,
+                activa: c.activa !== false,
+                total_escenarios: await contarEscenarios({ categoria: c.nombre }),
+                sub_categorias: await Promise.all(subCategorias.map(async sc => ({
+                    ...sc,
+                    total_escenarios: await contarEscenarios({ categoria: c.nombre, sub_categoria: sc.nombre })
+                })))
+            };
+        }));
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.crearPaquete = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'catalogo')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+
+        const ref = await db.collection('Paquetes').add({
+            descripcion: "",
+            categorias: [],
+            activo: true,
+            ...datosPaquete(data),
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return { success: true, id: ref.id };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.actualizarPaquete = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'catalogo')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+        validarTipo(data.id, 'string', 'id');
+
+        const ref = db.collection('Paquetes').doc(data.id);
+        if (!(await ref.get()).exists) throw new functions.https.HttpsError('not-found', 'Paquete no encontrado');
+
+        // Las citas ya agendadas conservan el precio congelado en su cotización
+        await ref.update({ ...datosPaquete(data, true), updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        return { success: true };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.eliminarPaquete = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'catalogo')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+        validarTipo(data.id, 'string', 'id');
+
+        await db.collection('Paquetes').doc(data.id).delete();
+        return { success: true };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.consultarPaquetes = functions.https.onCall(async (data, context) => {
+    try {
+        const incluirInactivos = !!data?.incluir_inactivos && tienePermiso(context, 'catalogo');
+        let query = db.collection('Paquetes');
+        if (!incluirInactivos) query = query.where('activo', '==', true);
+
+        const snap = await query.get();
+        return snap.docs
+            .map(d => ({ id: d.id, ...d.data() }))
+            .filter(p => !data?.categoria || !p.categorias?.length || p.categorias.includes(data.categoria))
+            .sort((a, b) => a.precio - b.precio);
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+// Saldos de paquetes del cliente; el estudio puede consultar los de cualquier cliente
+exports.consultarSaldosPaquete = functions.https.onCall(async (data, context) => {
+    try {
+        const uid = context.auth?.uid;
+        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'Debes iniciar sesión');
+        const uidCliente = data?.uid_cliente && tienePermiso(context, 'clientes') ? data.uid_cliente : uid;
+
+        const snap = await db.collection('Saldos_Paquete').where('uid_cliente', '==', uidCliente).get();
+        return snap.docs
+            .map(d => ({ id: d.id, ...d.data() }))
+            .filter(saldo => data?.incluir_agotados || (saldo.estado === 'activo' && saldo.sesiones_restantes > 0));
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.cotizar = functions.https.onCall(async (data, context) => {
+    try {
+        const uid = context.auth?.uid;
+        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'Debes iniciar sesión');
+        validarTipo(data.escenario_id, 'string', 'escenario_id');
+
+        const escenarioSnap = await db.collection('Escenarios').doc(data.escenario_id).get();
+        if (!escenarioSnap.exists) throw new functions.https.HttpsError('not-found', 'Escenario no encontrado');
+        const escenario = escenarioSnap.data();
+
+        const paquete = await obtenerPaqueteParaEscenario(data.paquete_id, escenario);
+        const cotizacion = calcularCotizacion(escenario, paquete);
+        const expiraEn = admin.firestore.Timestamp.fromDate(addHours(new Date(), VIGENCIA_COTIZACION_HORAS));
+
+        // Vista previa del descuento; el uso solo se cuenta al agendar en crearCita
+        let promocion = null;
+        if (data.codigo_promocion) {
+            const codigo = normalizarCodigo(data.codigo_promocion);
+            const [promoSnap, usoSnap] = await Promise.all([promocionRef(codigo).get(), promocionRef(codigo).collection('usos').doc(uid).get()]);
+            const monto = evaluarPromocion(promoSnap.data(), usoSnap.data()?.cantidad || 0, { escenarioId: data.escenario_id, escenario, cotizacion });
+            promocion = resumenPromocion(codigo, promoSnap.data(), monto, cotizacion);
+        }
+
+        // Se guarda para que crearCita congele exactamente lo que el cliente vio
+        const ref = await db.collection('Cotizaciones').add({
+            ...cotizacion,
+            uid_cliente: uid,
+            escenario_id: data.escenario_id,
+            expira_en: expiraEn,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return { id: ref.id, ...cotizacion, promocion, expira_en: expiraEn.toDate().toISOString() };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.asignarCotizacionPersonalizada = functions.https.onCall(async (data, context) => {
+    try {
+        const uid = context.auth?.uid;
+        if (!tienePermiso(context, 'precios')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+        validarTipo(data.cita_id, 'string', 'cita_id');
+        validarTipo(data.items, 'array', 'items');
+        if (!data.items.length) throw new functions.https.HttpsError('invalid-argument', 'La cotización necesita al menos un concepto.');
+
+        const items = data.items.map((item, i) => {
+            validarTipo(item.concepto, 'string', `items[${i}].concepto`);
+            validarPrecio(item.precio_unitario, `items[${i}].precio_unitario`);
+            return lineaCotizacion(item.concepto, Number(item.cantidad) || 1, item.precio_unitario);
+        });
+
+        const citaRef = db.collection('Citas').doc(data.cita_id);
+        await db.runTransaction(async (tx) => {
+            const snap = await tx.get(citaRef);
+            if (!snap.exists) throw new functions.https.HttpsError('not-found', 'Cita no encontrada');
+            const cita = snap.data();
+            if (!cita.cotizacion?.personalizada) {
+                throw new functions.https.HttpsError('failed-precondition', 'Esta cita ya tiene un precio fijo congelado.');
+            }
+
+            const cotizacion = {
+                ...cita.cotizacion,
+                items,
+                total: items.reduce((suma, item) => suma + item.subtotal, 0),
+                asignada_por: uid,
+                congelada_en: admin.firestore.Timestamp.now()
+            };
+            tx.update(citaRef, { cotizacion, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+
+            const estado = estadoCita(cita);
+            registrarHistorial(tx, citaRef, {
+                actor_uid: uid,
+                actor_rol: 'admin',
+                estado_anterior: estado,
+                estado_nuevo: estado,
+                cambios: { cotizacion_total: cotizacion.total }
+            });
+        });
+        return { success: true };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.crearPromocion = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'precios')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+
+        const codigo = normalizarCodigo(data.codigo);
+        if (!FORMATO_CODIGO_PROMOCION.test(codigo)) {
+            throw new functions.https.HttpsError('invalid-argument', 'El código debe tener entre 3 y 30 letras, números, guiones o guiones bajos.');
+        }
+
+        // El código es el id del documento, así que create() falla si ya existe
+        await promocionRef(codigo).create({
+            codigo,
+            descripcion: "",
+            valida_desde: null,
+            valida_hasta: null,
+            max_usos: null,
+            max_usos_por_cliente: 1,
+            categorias: [],
+            escenarios: [],
+            activa: true,
+            ...datosPromocion(data),
+            usos: 0,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }).catch((error) => {
+            if (error.code === 6) throw new functions.https.HttpsError('already-exists', 'Ya existe una promoción con ese código.');
+            throw error;
+        });
+        return { success: true, codigo };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.actualizarPromocion = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'precios')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+
+        const ref = promocionRef(data.codigo);
+        const snap = await ref.get();
+        if (!snap.exists) throw new functions.https.HttpsError('not-found', 'Promoción no encontrada');
+
+        // Si cambia el tipo o el valor se valida la pareja final: pasar de fijo a porcentaje no puede dejar un valor de 50000
+        const actual = snap.data();
+        const descuento = data.tipo !== undefined || data.valor !== undefined
+            ? { tipo: data.tipo ?? actual.tipo, valor: data.valor ?? actual.valor }
+            : {};
+        const cambios = datosPromocion({ ...data, ...descuento, codigo: undefined }, true);
+        await ref.update({ ...cambios, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        return { success: true };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.eliminarPromocion = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'precios')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+
+        const ref = promocionRef(data.codigo);
+        const snap = await ref.get();
+        if (!snap.exists) return { success: true };
+        if (snap.data().usos > 0) {
+            throw new functions.https.HttpsError('failed-precondition', 'La promoción ya fue usada; desactívala en lugar de eliminarla.');
+        }
+
+        await ref.delete();
+        return { success: true };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.consultarPromociones = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'precios')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+
+        let query = db.collection('Promociones');
+        if (typeof data?.activa === 'boolean') query = query.where('activa', '==', data.activa);
+
+        const snap = await query.orderBy('createdAt', 'desc').get();
+        return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.consultarHorario = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'configuracion')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+        return await obtenerHorario();
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.actualizarHorario = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'configuracion')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+
+        const { zona_horaria, buffer_minutos, duracion_por_defecto, dias, fechas_cerradas } = data;
+        const cambios = {};
+
+        if (zona_horaria !== undefined) {
+            validarTipo(zona_horaria, 'string', 'zona_horaria');
+            try {
+                new Intl.DateTimeFormat('es', { timeZone: zona_horaria });
+            } catch (e) {
+                throw new functions.https.HttpsError('invalid-argument', 'Zona horaria desconocida.');
+            }
+            cambios.zona_horaria = zona_horaria;
+        }
+        if (buffer_minutos !== undefined) {
+            validarTipo(buffer_minutos, 'number', 'buffer_minutos');
+            cambios.buffer_minutos = Math.max(0, Math.floor(buffer_minutos));
+        }
+        if (duracion_por_defecto !== undefined) {
+            validarTipo(duracion_por_defecto, 'number', 'duracion_por_defecto');
+            if (duracion_por_defecto <= 0) throw new functions.https.HttpsError('invalid-argument', 'La duración debe ser mayor a cero.');
+            cambios.duracion_por_defecto = Math.floor(duracion_por_defecto);
+        }
+        if (dias !== undefined) cambios.dias = normalizarDias(dias, 'dias');
+        if (fechas_cerradas !== undefined) {
+            validarTipo(fechas_cerradas, 'array', 'fechas_cerradas');
+            if (fechas_cerradas.some(f => !/^\d{4}-\d{2}-\d{2}$/.test(f))) {
+                throw new functions.https.HttpsError('invalid-argument', 'Las fechas cerradas deben tener formato yyyy-MM-dd.');
+            }
+            cambios.fechas_cerradas = fechas_cerradas;
+        }
+
+        // merge conserva los días que no vienen en la petición
+        await db.collection('Configuracion').doc('horario').set({
+            ...cambios,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+
+        return { success: true };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.consultarPoliticaPenalizacion = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'configuracion')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+        return await obtenerPoliticaPenalizacion();
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.actualizarPoliticaPenalizacion = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'configuracion')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+
+        const cambios = {};
+        for (const campo of ['horas_cancelacion_tardia', 'max_incidencias', 'ventana_dias', 'duracion_bloqueo_dias']) {
+            if (data[campo] === undefined) continue;
+            validarTipo(data[campo], 'number', campo);
+            if (data[campo] < 0) throw new functions.https.HttpsError('invalid-argument', `El campo ${campo} no puede ser negativo.`);
+            cambios[campo] = data[campo];
+        }
+        // Con 0 incidencias permitidas se bloquearía a todos los clientes
+        if (cambios.max_incidencias !== undefined && (!Number.isInteger(cambios.max_incidencias) || cambios.max_incidencias < 1)) {
+            throw new functions.https.HttpsError('invalid-argument', 'El campo max_incidencias debe ser un entero de al menos 1.');
+        }
+        if (data.estados_penalizados !== undefined) {
+            validarTipo(data.estados_penalizados, 'array', 'estados_penalizados');
+            const invalidos = data.estados_penalizados.filter(e => !TRANSICIONES_CITA[e]);
+            if (invalidos.length || !data.estados_penalizados.length || data.estados_penalizados.length > 10) {
+                throw new functions.https.HttpsError('invalid-argument', 'Lista de estados penalizados inválida.');
+            }
+            cambios.estados_penalizados = data.estados_penalizados;
+        }
+
+        await db.collection('Configuracion').doc('penalizacion').set({
+            ...cambios,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+
+        return { success: true };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.consultarConfigRecordatorios = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'configuracion')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+        return await obtenerConfigRecordatorios();
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.actualizarConfigRecordatorios = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'configuracion')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+
+        validarTipo(data.offsets_horas, 'array', 'offsets_horas');
+        const offsets = [...new Set(data.offsets_horas)];
+        if (offsets.length > 5 || offsets.some(h => typeof h !== 'number' || h <= 0 || h > 24 * 14)) {
+            throw new functions.https.HttpsError('invalid-argument', 'Las anticipaciones deben ser entre 1 y 5 valores en horas (máximo 14 días).');
+        }
+
+        // Aplica a las citas que se acepten o reprogramen desde ahora
+        await db.collection('Configuracion').doc('recordatorios').set({
+            offsets_horas: offsets.sort((a, b) => b - a),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+
+        return { success: true };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.consultarDisponibilidad = functions.https.onCall(async (data, context) => {
+    try {
+        const { escenario_id, desde, hasta = desde } = data;
+        validarTipo(escenario_id, 'string', 'escenario_id');
+        validarTipo(desde, 'string', 'desde');
+        validarTipo(hasta, 'string', 'hasta');
+
+        const inicio = parseISO(desde);
+        const fin = parseISO(hasta);
+        if (isNaN(inicio) || isNaN(fin) || fin < inicio) {
+            throw new functions.https.HttpsError('invalid-argument', 'Rango de fechas inválido.');
+        }
+
+        const dias = eachDayOfInterval({ start: inicio, end: fin }).map(d => format(d, 'yyyy-MM-dd'));
+        if (dias.length > MAX_DIAS_DISPONIBILIDAD) {
+            throw new functions.https.HttpsError('invalid-argument', `El rango no puede superar ${MAX_DIAS_DISPONIBILIDAD} días.`);
+        }
+
+        const escenarioSnap = await db.collection('Escenarios').doc(escenario_id).get();
+        if (!escenarioSnap.exists) throw new functions.https.HttpsError('not-found', 'Escenario no encontrado');
+
+        const horario = await obtenerHorario();
+        const duracion = duracionSesion(escenarioSnap.data(), horario);
+        const agendas = await db.getAll(...dias.map(dia => agendaRef(escenario_id, dia)));
+        const ahora = Date.now();
+
+        // Con personal registrado, un bloque solo se ofrece si alguien que cubre el escenario está libre
+        const personal = (await db.collection('Personal').where('activo', '==', true).get()).docs;
+        const agendasPersonal = personal.length ? await db.getAll(...dias.flatMap(dia => personal.map(p => agendaPersonalRef(p.id, dia)))) : [];
+        const hayPersonalLibre = (slot, i) => !personal.length || personal.some((p, j) => {
+            const agenda = agendasPersonal[i * personal.length + j];
+            return cubreSesion(p.data(), escenario_id, slot, horario.zona_horaria) &&
+                !slotOcupado(slot, agenda.exists ? agenda.data().reservas : {}, horario.buffer_minutos);
+        });
+
+        return dias.map((dia, i) => {
+            const reservas = agendas[i].exists ? agendas[i].data().reservas : {};
+            const slots = generarSlots(horario, dia, duracion)
+                .filter(slot => slot.inicio.getTime() > ahora && !slotOcupado(slot, reservas, horario.buffer_minutos) && hayPersonalLibre(slot, i))
+                .map(slot => ({ inicio: slot.inicio.toISOString(), fin: slot.fin.toISOString() }));
+            return { fecha: dia, duracion_minutos: duracion, slots };
+        });
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.crearCita = functions.https.onCall(async (data, context) => {
+    try {
+        if (!context.auth) throw new functions.https.HttpsError('unauthenticated', 'Debes iniciar sesión');
+        const id = await reservarCita(context.auth.uid, data);
+        return { success: true, id };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.actualizarCita = functions.https.onCall(async (data, context) => {
+    try {
+        const { id, estado, motivo, personal_id, ...campos } = data;
+        const uid = context.auth?.uid;
+        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'No logueado');
+        validarTipo(id, 'string', 'id');
+        if (motivo !== undefined) validarTipo(motivo, 'string', 'motivo');
+        if (personal_id !== undefined) validarTipo(personal_id, 'string', 'personal_id');
+
+        const rol = tienePermiso(context, 'citas') ? 'admin' : 'cliente';
+
+        // Compatibilidad con apps que todavía envían estado_solicitud / estado_atendida
+        let estadoNuevo = estado;
+        if (!estadoNuevo && campos.estado_atendida) estadoNuevo = campos.estado_atendida;
+        if (!estadoNuevo && campos.estado_solicitud) {
+            estadoNuevo = rol === 'cliente' && campos.estado_solicitud === 'rechazada' ? 'cancelada_cliente' : campos.estado_solicitud;
+        }
+        delete campos.estado_solicitud;
+        delete campos.estado_atendida;
+
+        const noEditables = Object.keys(campos).filter(c => !CAMPOS_EDITABLES_CITA[rol].includes(c));
+        if (noEditables.length) {
+            throw new functions.https.HttpsError('invalid-argument', `Campos no editables: ${noEditables.join(', ')}`);
+        }
+        if (personal_id !== undefined && rol !== 'admin') {
+            throw new functions.https.HttpsError('permission-denied', 'Solo el estudio asigna el personal.');
+        }
+        if (!estadoNuevo && !personal_id && !Object.keys(campos).length) {
+            throw new functions.https.HttpsError('invalid-argument', 'No hay cambios para aplicar.');
+        }
+        if (estadoNuevo === 'rechazada' && !motivo) {
+            throw new functions.https.HttpsError('invalid-argument', 'Debes indicar el motivo del rechazo.');
+        }
+
+        const citaRef = db.collection('Citas').doc(id);
+        const politica = await obtenerPoliticaPenalizacion();
+        let uidCliente;
+
+        // Al aceptar (o al reasignar a mano) se busca personal; los candidatos se calculan fuera de la transacción
+        let asignacion = null;
+        if (rol === 'admin' && (estadoNuevo === 'aceptada' || personal_id)) {
+            const previaSnap = await citaRef.get();
+            if (!previaSnap.exists) throw new functions.https.HttpsError('not-found', 'Cita no encontrada');
+            const previa = previaSnap.data();
+            const horario = await obtenerHorario();
+            const slot = slotDeCita(previa, horario);
+            let candidatos = await candidatosPersonal(previa.escenario_id, slot, horario.zona_horaria);
+
+            if (personal_id) {
+                candidatos = (candidatos || []).filter(d => d.id === personal_id);
+                if (!candidatos.length) {
+                    throw new functions.https.HttpsError('invalid-argument', 'Ese miembro del personal no está activo o no cubre el escenario y horario de la cita.');
+                }
+            }
+            if (candidatos) asignacion = { candidatos, horario, slot, fecha: previa.fecha, dia: diaLocal(slot.inicio, horario.zona_horaria) };
+        }
+
+        await db.runTransaction(async (tx) => {
+            const citaSnap = await tx.get(citaRef);
+            if (!citaSnap.exists) throw new functions.https.HttpsError('not-found', 'Cita no encontrada');
+            const citaData = citaSnap.data();
+
+            if (rol === 'cliente' && citaData.uid_cliente !== uid) {
+                throw new functions.https.HttpsError('permission-denied', 'No tienes permiso sobre esta cita.');
+            }
+
+            uidCliente = citaData.uid_cliente;
+            const estadoActual = estadoCita(citaData);
+
+            // Regla: Cancelar con menos de horas_cancelacion_tardia de anticipación cuenta como tardía
+            if (rol === 'cliente' && estadoNuevo && estadoNuevo.startsWith('cancelada_')) {
+                const limite = citaData.fecha.toMillis() - politica.horas_cancelacion_tardia * 3600000;
+                estadoNuevo = Date.now() > limite ? 'cancelada_tardia' : 'cancelada_cliente';
+            }
+
+            const cambiaEstado = estadoNuevo && estadoNuevo !== estadoActual;
+            if (cambiaEstado) validarTransicionCita(estadoActual, estadoNuevo, rol);
+
+            // Regla: una cita aceptada necesita a alguien del personal libre en su bloque
+            let elegido = null;
+            if (asignacion) {
+                if ((cambiaEstado ? estadoNuevo : estadoActual) !== 'aceptada') {
+                    throw new functions.https.HttpsError('failed-precondition', 'Solo se asigna personal a citas aceptadas.');
+                }
+                if (!citaData.fecha.isEqual(asignacion.fecha)) {
+                    throw new functions.https.HttpsError('aborted', 'La cita cambió mientras se asignaba el personal; intenta de nuevo.');
+                }
+                elegido = await elegirPersonalLibre(tx, asignacion.candidatos, asignacion.slot, asignacion.dia, asignacion.horario.buffer_minutos, {
+                    preferido: citaData.personal_id,
+                    citaId: id
+                });
+                if (!elegido) throw new functions.https.HttpsError('failed-precondition', 'No hay personal libre para el horario de esta cita.');
+            }
+
+            const liberaAgenda = cambiaEstado && ESTADOS_QUE_LIBERAN_AGENDA.includes(estadoNuevo);
+            const saldoSnap = liberaAgenda && citaData.saldo_paquete_id ? await tx.get(saldoPaqueteRef(citaData.saldo_paquete_id)) : null;
+            const sucesorSnap = await sucesorCompraPaquete(tx, saldoSnap, id);
+
+            const actualizacion = {
+                ...campos,
+                ...(cambiaEstado ? camposEstadoCita(estadoNuevo) : {}),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            };
+            const liberar = {};
+
+            if (elegido) {
+                Object.assign(actualizacion, asignarPersonal(tx, elegido, citaData, id, asignacion.dia, {
+                    inicio: admin.firestore.Timestamp.fromDate(asignacion.slot.inicio),
+                    fin: admin.firestore.Timestamp.fromDate(asignacion.slot.fin)
+                }));
+            }
+            if (cambiaEstado && ESTADOS_QUE_LIBERAN_AGENDA.includes(estadoNuevo) && citaData.agenda_personal_id) {
+                tx.update(db.collection('Agenda_Personal').doc(citaData.agenda_personal_id), liberarReservas([id]));
+            }
+
+            // Al rechazar o cancelar se libera el bloque reservado en la agenda
+            if (cambiaEstado && ESTADOS_QUE_LIBERAN_AGENDA.includes(estadoNuevo) && citaData.agenda_id) {
+                liberar[citaData.agenda_id] = [id];
+            }
+
+            // Una reprogramación pendiente pierde sentido si la cita se cierra
+            const reprogramacion = citaData.reprogramacion;
+            if (cambiaEstado && estadoFinalCita(estadoNuevo) && reprogramacion?.estado === 'pendiente') {
+                liberar[reprogramacion.agenda_id] = [...(liberar[reprogramacion.agenda_id] || []), `${id}_reprogramacion`];
+                actualizacion['reprogramacion.estado'] = 'descartada';
+            }
+
+            // La sesión de un paquete vuelve al saldo del cliente
+            devolverSesionPaquete(tx, saldoSnap, id, citaData, sucesorSnap);
+
+            // Una cita rechazada o cancelada devuelve el uso de su código promocional
+            if (cambiaEstado && ESTADOS_QUE_LIBERAN_AGENDA.includes(estadoNuevo) && citaData.promocion) {
+                const promoRef = promocionRef(citaData.promocion.codigo);
+                tx.update(promoRef, { usos: admin.firestore.FieldValue.increment(-1) });
+                tx.set(promoRef.collection('usos').doc(citaData.uid_cliente), {
+                    cantidad: admin.firestore.FieldValue.increment(-1),
+                    citas: admin.firestore.FieldValue.arrayRemove(id)
+                }, { merge: true });
+            }
+
+            tx.update(citaRef, actualizacion);
+            for (const [agendaId, claves] of Object.entries(liberar)) {
+                tx.update(db.collection('Agenda').doc(agendaId), liberarReservas(claves));
+            }
+
+            registrarHistorial(tx, citaRef, {
+                actor_uid: uid,
+                actor_rol: rol,
+                estado_anterior: estadoActual,
+                estado_nuevo: cambiaEstado ? estadoNuevo : estadoActual,
+                motivo,
+                cambios: { ...campos, ...(elegido ? { personal_id: elegido.doc.id } : {}) }
+            });
+        });
+
+        if (politica.estados_penalizados.includes(estadoNuevo)) await evaluarBloqueoCliente(uidCliente);
+
+        return { success: true, estado: estadoNuevo };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.consultarHistorialCita = functions.https.onCall(async (data, context) => {
+    try {
+        const uid = context.auth?.uid;
+        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'No logueado');
+        validarTipo(data.id, 'string', 'id');
+
+        const citaRef = db.collection('Citas').doc(data.id);
+        const citaSnap = await citaRef.get();
+        if (!citaSnap.exists) throw new functions.https.HttpsError('not-found', 'Cita no encontrada');
+
+        if (citaSnap.data().uid_cliente !== uid && !tienePermiso(context, 'agenda')) {
+            throw new functions.https.HttpsError('permission-denied', 'No tienes permiso sobre esta cita.');
+        }
+
+        const snap = await citaRef.collection('historial').orderBy('fecha', 'asc').get();
+        return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.reprogramarCita = functions.https.onCall(async (data, context) => {
+    try {
+        const uid = context.auth?.uid;
+        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'Debes iniciar sesión');
+        validarTipo(data.id, 'string', 'id');
+        validarTipo(data.fecha, 'string', 'fecha');
+
+        const fechaNueva = new Date(data.fecha);
+        if (isNaN(fechaNueva)) throw new functions.https.HttpsError('invalid-argument', 'Fecha inválida.');
+        if (fechaNueva.getTime() <= Date.now()) throw new functions.https.HttpsError('invalid-argument', 'La fecha de la cita ya pasó.');
+
+        const citaRef = db.collection('Citas').doc(data.id);
+        const citaSnap = await citaRef.get();
+        if (!citaSnap.exists) throw new functions.https.HttpsError('not-found', 'Cita no encontrada');
+        const cita = citaSnap.data();
+
+        if (cita.uid_cliente !== uid) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso sobre esta cita.');
+        if (!cita.agenda_id) throw new functions.https.HttpsError('failed-precondition', 'Esta cita no tiene un bloque de agenda; cancélala y agenda de nuevo.');
+
+        await validarUnaCitaPorDia(uid, fechaNueva, data.id);
+        const { horario, dia, slot } = await resolverSlot(cita.escenario_id, fechaNueva);
+        const agenda = agendaRef(cita.escenario_id, dia);
+        const clave = `${data.id}_reprogramacion`;
+
+        // El bloque propuesto queda apartado; la reserva original no se toca hasta que el admin responda
+        await db.runTransaction(async (tx) => {
+            const [actualSnap, agendaSnap] = await Promise.all([tx.get(citaRef), tx.get(agenda)]);
+            const actual = actualSnap.data();
+            const estado = estadoCita(actual);
+
+            if (!['espera', 'aceptada'].includes(estado)) {
+                throw new functions.https.HttpsError('failed-precondition', 'Solo se pueden reprogramar citas en espera o aceptadas.');
+            }
+            if (actual.reprogramacion?.estado === 'pendiente') {
+                throw new functions.https.HttpsError('already-exists', 'Ya tienes una reprogramación pendiente para esta cita.');
+            }
+
+            const reservas = sinReservas(agendaSnap.exists ? agendaSnap.data().reservas : {}, data.id);
+            if (slotOcupado(slot, reservas, horario.buffer_minutos)) {
+                throw new functions.https.HttpsError('already-exists', 'El horario seleccionado ya no está disponible.');
+            }
+
+            const reprogramacion = {
+                estado: 'pendiente',
+                fecha: admin.firestore.Timestamp.fromDate(slot.inicio),
+                fecha_fin: admin.firestore.Timestamp.fromDate(slot.fin),
+                agenda_id: agenda.id,
+                motivo_cliente: data.motivo || "",
+                solicitada_en: admin.firestore.Timestamp.now()
+            };
+
+            tx.set(agenda, {
+                escenario_id: cita.escenario_id,
+                fecha: dia,
+                reservas: { [clave]: { inicio: reprogramacion.fecha, fin: reprogramacion.fecha_fin } },
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+            tx.update(citaRef, { reprogramacion, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+            registrarHistorial(tx, citaRef, {
+                actor_uid: uid,
+                actor_rol: 'cliente',
+                estado_anterior: estado,
+                estado_nuevo: estado,
+                motivo: data.motivo,
+                cambios: { reprogramacion_solicitada: reprogramacion.fecha }
+            });
+        });
+
+        return { success: true };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.responderReprogramacion = functions.https.onCall(async (data, context) => {
+    try {
+        const uid = context.auth?.uid;
+        if (!tienePermiso(context, 'citas')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+        validarTipo(data.id, 'string', 'id');
+        validarTipo(data.aceptar, 'boolean', 'aceptar');
+
+        const citaRef = db.collection('Citas').doc(data.id);
+        const clave = `${data.id}_reprogramacion`;
+
+        // Si la cita ya tiene personal asignado, alguien tiene que quedar libre en el nuevo horario
+        let asignacion = null;
+        if (data.aceptar) {
+            const previa = (await citaRef.get()).data();
+            if (previa?.agenda_personal_id && previa.reprogramacion?.estado === 'pendiente') {
+                const horario = await obtenerHorario();
+                const slot = { inicio: previa.reprogramacion.fecha.toDate(), fin: previa.reprogramacion.fecha_fin.toDate() };
+                const candidatos = await candidatosPersonal(previa.escenario_id, slot, horario.zona_horaria);
+                if (candidatos) {
+                    asignacion = { candidatos, horario, slot, solicitada_en: previa.reprogramacion.solicitada_en, dia: diaLocal(slot.inicio, horario.zona_horaria) };
+                }
+            }
+        }
+
+        await db.runTransaction(async (tx) => {
+            const citaSnap = await tx.get(citaRef);
+            if (!citaSnap.exists) throw new functions.https.HttpsError('not-found', 'Cita no encontrada');
+            const cita = citaSnap.data();
+            const propuesta = cita.reprogramacion;
+
+            if (propuesta?.estado !== 'pendiente') {
+                throw new functions.https.HttpsError('failed-precondition', 'La cita no tiene una reprogramación pendiente.');
+            }
+
+            let elegido = null;
+            if (asignacion) {
+                if (!propuesta.solicitada_en.isEqual(asignacion.solicitada_en)) {
+                    throw new functions.https.HttpsError('aborted', 'La reprogramación cambió; intenta de nuevo.');
+                }
+                elegido = await elegirPersonalLibre(tx, asignacion.candidatos, asignacion.slot, asignacion.dia, asignacion.horario.buffer_minutos, {
+                    preferido: cita.personal_id,
+                    citaId: data.id
+                });
+                if (!elegido) throw new functions.https.HttpsError('failed-precondition', 'No hay personal libre en el nuevo horario.');
+            }
+
+            const estado = estadoCita(cita);
+            const respuesta = {
+                ...propuesta,
+                estado: data.aceptar ? 'aceptada' : 'rechazada',
+                motivo_admin: data.motivo || "",
+                resuelta_por: uid,
+                resuelta_en: admin.firestore.Timestamp.now()
+            };
+
+            if (data.aceptar) {
+                const reserva = { inicio: propuesta.fecha, fin: propuesta.fecha_fin };
+                const nuevaAgenda = db.collection('Agenda').doc(propuesta.agenda_id);
+
+                // El apartado pasa a ser la reserva de la cita; si es el mismo día se hace en una sola escritura
+                if (cita.agenda_id === propuesta.agenda_id) {
+                    tx.update(nuevaAgenda, { ...liberarReservas([clave]), [`reservas.${data.id}`]: reserva });
+                } else {
+                    tx.update(db.collection('Agenda').doc(cita.agenda_id), liberarReservas([data.id]));
+                    tx.update(nuevaAgenda, { ...liberarReservas([clave]), [`reservas.${data.id}`]: reserva });
+                }
+
+                respuesta.fecha_anterior = cita.fecha;
+                tx.update(citaRef, {
+                    ...(elegido ? asignarPersonal(tx, elegido, cita, data.id, asignacion.dia, reserva) : {}),
+                    fecha: propuesta.fecha,
+                    fecha_fin: propuesta.fecha_fin,
+                    agenda_id: propuesta.agenda_id,
+                    reprogramacion: respuesta,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+            } else {
+                tx.update(db.collection('Agenda').doc(propuesta.agenda_id), liberarReservas([clave]));
+                tx.update(citaRef, { reprogramacion: respuesta, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+            }
+
+            registrarHistorial(tx, citaRef, {
+                actor_uid: uid,
+                actor_rol: 'admin',
+                estado_anterior: estado,
+                estado_nuevo: estado,
+                motivo: data.motivo,
+                cambios: data.aceptar ? { fecha_anterior: cita.fecha, fecha: propuesta.fecha } : { reprogramacion: 'rechazada' }
+            });
+        });
+
+        return { success: true };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.unirseListaEspera = functions.https.onCall(async (data, context) => {
+    try {
+        const uid = context.auth?.uid;
+        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'Debes iniciar sesión');
+        validarTipo(data.escenario_id, 'string', 'escenario_id');
+        validarTipo(data.fecha, 'string', 'fecha');
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(data.fecha) || isNaN(parseISO(data.fecha))) {
+            throw new functions.https.HttpsError('invalid-argument', 'La fecha debe tener el formato yyyy-MM-dd.');
+        }
+
+        const escenarioSnap = await db.collection('Escenarios').doc(data.escenario_id).get();
+        if (!escenarioSnap.exists) throw new functions.https.HttpsError('not-found', 'Escenario no encontrado');
+
+        const horario = await obtenerHorario();
+        const dia = data.fecha;
+        if (dia < diaLocal(new Date(), horario.zona_horaria)) throw new functions.https.HttpsError('invalid-argument', 'La fecha ya pasó.');
+        if (!generarSlots(horario, dia, duracionSesion(escenarioSnap.data(), horario)).length) {
+            throw new functions.https.HttpsError('failed-precondition', 'El estudio no atiende ese día.');
+        }
+        // Regla: no se entra a la fila si de todos modos no se podría reservar ese día
+        const motivo = await motivoSinCupo(uid, parseISO(dia));
+        if (motivo === 'bloqueo_citas') throw new functions.https.HttpsError('failed-precondition', 'Tus citas están bloqueadas por cancelaciones frecuentes.');
+        if (motivo === 'cita_mismo_dia') throw new functions.https.HttpsError('already-exists', 'Ya tienes una cita programada para este día.');
+
+        const entradaRef = db.collection('Lista_Espera').doc(`${data.escenario_id}_${dia}_${uid}`);
+        await db.runTransaction(async (tx) => {
+            const actual = await tx.get(entradaRef);
+            if (ESTADOS_LISTA_ESPERA_ACTIVA.includes(actual.data()?.estado)) {
+                throw new functions.https.HttpsError('already-exists', 'Ya estás en la lista de espera para ese día.');
+            }
+            tx.set(entradaRef, {
+                uid_cliente: uid,
+                escenario_id: data.escenario_id,
+                escenario_nombre: escenarioSnap.data().nombre,
+                dia,
+                estado: 'esperando',
+                createdAt: admin.firestore.Timestamp.now(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        });
+
+        const fila = await db.collection('Lista_Espera')
+            .where('escenario_id', '==', data.escenario_id)
+            .where('dia', '==', dia)
+            .where('estado', '==', 'esperando')
+            .count()
+            .get();
+
+        return { success: true, id: entradaRef.id, posicion: fila.data().count };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.salirListaEspera = functions.https.onCall(async (data, context) => {
+    try {
+        const uid = context.auth?.uid;
+        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'Debes iniciar sesión');
+        validarTipo(data.id, 'string', 'id');
+
+        const entradaRef = db.collection('Lista_Espera').doc(data.id);
+        const entrada = await db.runTransaction(async (tx) => {
+            const snap = await tx.get(entradaRef);
+            if (!snap.exists) throw new functions.https.HttpsError('not-found', 'No estás en esa lista de espera.');
+            if (snap.data().uid_cliente !== uid) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso sobre esta entrada.');
+            if (!ESTADOS_LISTA_ESPERA_ACTIVA.includes(snap.data().estado)) {
+                throw new functions.https.HttpsError('failed-precondition', 'La entrada ya no está activa.');
+            }
+            tx.update(entradaRef, { estado: 'cancelada', updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+            return snap.data();
+        });
+
+        // Si tenía una oferta abierta, el bloque pasa al siguiente de la fila
+        if (entrada.estado === 'ofertada') {
+            await ofrecerSlot(entrada.escenario_id, entrada.dia, slotDeOferta(entrada.oferta), claveListaEspera(data.id));
+        }
+        return { success: true };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.consultarMiListaEspera = functions.https.onCall(async (data, context) => {
+    try {
+        const uid = context.auth?.uid;
+        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'Debes iniciar sesión');
+
+        const snap = await db.collection('Lista_Espera')
+            .where('uid_cliente', '==', uid)
+            .where('estado', 'in', ESTADOS_LISTA_ESPERA_ACTIVA)
+            .get();
+
+        return snap.docs
+            .map(doc => {
+                const { oferta, createdAt, updatedAt, ...entrada } = doc.data();
+                return {
+                    id: doc.id,
+                    ...entrada,
+                    oferta: oferta ? { inicio: oferta.inicio.toDate().toISOString(), fin: oferta.fin.toDate().toISOString(), expira_en: oferta.expira_en.toDate().toISOString() } : null,
+                    createdAt: createdAt.toDate().toISOString(),
+                    updatedAt: updatedAt ? updatedAt.toDate().toISOString() : null
+                };
+            })
+            .sort((a, b) => a.dia.localeCompare(b.dia));
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+// Convierte la oferta en una cita normal: pasa por las mismas reglas que crearCita
+exports.reclamarOfertaListaEspera = functions.https.onCall(async (data, context) => {
+    try {
+        const uid = context.auth?.uid;
+        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'Debes iniciar sesión');
+        validarTipo(data.id, 'string', 'id');
+
+        const entradaSnap = await db.collection('Lista_Espera').doc(data.id).get();
+        const entrada = entradaSnap.data();
+        if (!entradaSnap.exists || entrada.uid_cliente !== uid) throw new functions.https.HttpsError('not-found', 'Oferta no encontrada.');
+        if (entrada.estado !== 'ofertada') throw new functions.https.HttpsError('failed-precondition', 'La oferta ya no está disponible.');
+
+        const id = await reservarCita(uid, {
+            escenario_id: entrada.escenario_id,
+            fecha: entrada.oferta.inicio.toDate().toISOString(),
+            notas_cliente: data.notas_cliente,
+            codigo_promocion: data.codigo_promocion,
+            paquete_id: data.paquete_id,
+            cotizacion_id: data.cotizacion_id,
+            saldo_paquete_id: data.saldo_paquete_id
+        }, { listaEsperaId: data.id });
+
+        return { success: true, id };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.consultarCitas = functions.https.onCall(async (data, context) => {
+    try {
+        const uid = context.auth.uid;
+        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'No logueado');
+
+        const isAdmin = tienePermiso(context, 'agenda');
+        const { uid_cliente_consulta, fecha, limit = 20, lastDocId } = data;
+
+        let query = db.collection('Citas');
+
+        if (isAdmin) {
+            if (fecha) {
+                const d = new Date(fecha);
+                query = query.where('fecha', '>=', startOfDay(d))
+                             .where('fecha', '<=', endOfDay(d));
+            } else if (uid_cliente_consulta) {
+                query = query.where('uid_cliente', '==', uid_cliente_consulta);
+            }
+        } else {
+            query = query.where('uid_cliente', '==', uid)
+                         .where('estado_solicitud', 'not-in', ['rechazada', 'cancelada']);
+        }
+
+        query = query.orderBy('fecha', 'asc');
+
+        if (limit) query = query.limit(limit);
+        if (lastDocId) {
+            const lastDoc = await db.collection('Citas').doc(lastDocId).get();
+            if (lastDoc.exists) query = query.startAfter(lastDoc);
+        }
+
+        const snap = await query.get();
+        return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+    } catch (error) {
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+exports.crearOActualizarCliente = functions.https.onCall(async (data, context) => {
+    try {
+        const { provider, providerUserId, name, email, photo } = data;
+        const uid = context.auth.uid;
+        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'No logueado');
+
+        await db.collection('Clientes').doc(uid).set({
+            provider: provider || "",
+            providerUserId: providerUserId || "",
+            name: name || "Sin nombre",
+            email: email || "",
+            photo: photo || "",
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+
+        return { success: true };
+    } catch (error) {
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+// La cuenta no se borra enseguida: queda programada DIAS_GRACIA_ELIMINACION días y se puede deshacer
+exports.eliminarCliente = functions.https.onCall(async (data, context) => {
+    try {
+        const { uid_a_eliminar, motivo } = data;
+        const uid_solicitante = context.auth?.uid;
+        if (!uid_solicitante) throw new functions.https.HttpsError('unauthenticated', 'No logueado');
+        validarTipo(uid_a_eliminar, 'string', 'uid_a_eliminar');
+        const isAdmin = tienePermiso(context, 'eliminar_datos');
+
+        if (uid_a_eliminar !== uid_solicitante && !isAdmin) {
+            throw new functions.https.HttpsError('permission-denied', 'No autorizado para eliminar este perfil.');
+        }
+
+        const ref = db.collection('Solicitudes_Eliminacion').doc(uid_a_eliminar);
+        const ejecutarEn = addDays(new Date(), DIAS_GRACIA_ELIMINACION);
+        const programada = await db.runTransaction(async (tx) => {
+            const snap = await tx.get(ref);
+            if (snap.exists && ['programada', 'en_proceso'].includes(snap.data().estado)) return snap.data();
+
+            const solicitud = {
+                uid: uid_a_eliminar,
+                estado: 'programada',
+                solicitada_por: uid_solicitante,
+                rol: uid_a_eliminar === uid_solicitante ? 'cliente' : 'admin',
+                motivo: typeof motivo === 'string' ? motivo : "",
+                solicitada_en: admin.firestore.Timestamp.now(),
+                ejecutar_en: admin.firestore.Timestamp.fromDate(ejecutarEn)
+            };
+            tx.set(ref, solicitud);
+            return solicitud;
+        });
+
+        const { zona_horaria } = await obtenerHorario();
+        const fecha = format(new TZDate(programada.ejecutar_en.toDate(), zona_horaria), 'dd/MM/yyyy');
+        await notificarUsuario(uid_a_eliminar, 'Eliminación de cuenta', 'Info', `Tu cuenta y tus datos se eliminarán el ${fecha}. Puedes cancelarlo antes de esa fecha.`);
+
+        return { success: true, estado: programada.estado, ejecutar_en: programada.ejecutar_en.toDate().toISOString() };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.cancelarEliminacionCuenta = functions.https.onCall(async (data, context) => {
+    try {
+        const uid = context.auth?.uid;
+        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'No logueado');
+        const objetivo = data?.uid_cliente || uid;
+        if (objetivo !== uid && !tienePermiso(context, 'eliminar_datos')) throw new functions.https.HttpsError('permission-denied', 'No autorizado.');
+
+        const ref = db.collection('Solicitudes_Eliminacion').doc(objetivo);
+        await db.runTransaction(async (tx) => {
+            const snap = await tx.get(ref);
+            if (!snap.exists || snap.data().estado !== 'programada') {
+                throw new functions.https.HttpsError('failed-precondition', 'No hay una eliminación pendiente que cancelar.');
+            }
+            tx.update(ref, {
+                estado: 'cancelada',
+                cancelada_por: uid,
+                cancelada_en: admin.firestore.FieldValue.serverTimestamp()
+            });
+        });
+
+        await notificarUsuario(objetivo, 'Eliminación de cuenta', 'Info', 'Cancelamos la eliminación de tu cuenta. Tus datos se conservan.');
+        return { success: true };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.consultarEliminacionCuenta = functions.https.onCall(async (data, context) => {
+    try {
+        const uid = context.auth?.uid;
+        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'No logueado');
+        const objetivo = data?.uid_cliente || uid;
+        if (objetivo !== uid && !tienePermiso(context, 'clientes')) throw new functions.https.HttpsError('permission-denied', 'No autorizado.');
+
+        const snap = await db.collection('Solicitudes_Eliminacion').doc(objetivo).get();
+        return snap.exists ? serializarDatos(snap.data()) : { estado: null };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+// Copia de los datos del propio cliente: JSON directo, o un ZIP con el JSON, los recibos y las fotos entregadas
+exports.exportarMisDatos = functions
+    .runWith({ timeoutSeconds: 300, memory: '1GB' })
+    .https.onCall(async (data, context) => {
+        try {
+            const uid = context.auth?.uid;
+            if (!uid) throw new functions.https.HttpsError('unauthenticated', 'Inicie sesión.');
+            const { formato = 'json' } = data || {};
+            if (!['json', 'zip'].includes(formato)) throw new functions.https.HttpsError('invalid-argument', 'El formato debe ser json o zip.');
+
+            const datos = serializarDatos(await datosDelCliente(uid));
+            if (formato === 'json') return datos;
+
+            const bucket = storage.bucket();
+            const [recibos] = await bucket.getFiles({ prefix: `recibos/${uid}/` });
+            const fotos = [];
+            for (const solicitud of datos.solicitudes_fotos.filter(s => s.estado === 'entregado' && !s.archivada)) {
+                const rutas = await rutasFotosSolicitud(solicitud.id, solicitud);
+                rutas.forEach(r => fotos.push({ ruta: r, nombre: `fotos/${solicitud.id}/${path.posix.basename(r)}` }));
+            }
+
+            const ruta = `exportaciones/datos_${uid}_${Date.now()}.zip`;
+            const archivo = archiver('zip');
+            const destino = bucket.file(ruta).createWriteStream({ contentType: 'application/zip', resumable: false });
+            const terminado = new Promise((resolve, reject) => {
+                destino.on('finish', resolve);
+                destino.on('error', reject);
+                archivo.on('error', reject);
+            });
+
+            archivo.pipe(destino);
+            archivo.append(JSON.stringify(datos, null, 2), { name: 'datos.json' });
+            recibos.forEach(f => archivo.append(f.createReadStream(), { name: f.name }));
+            fotos.forEach(f => archivo.append(bucket.file(f.ruta).createReadStream(), { name: f.nombre }));
+            await archivo.finalize();
+            await terminado;
+
+            const url = await enlaceFirmado(ruta, MINUTOS_ENLACE_ZIP, { responseDisposition: 'attachment; filename="mis_datos.zip"' });
+            return { url, expira_en: new Date(Date.now() + MINUTOS_ENLACE_ZIP * 60000).toISOString() };
+        } catch (error) {
+            throw new functions.https.HttpsError(error.code || 'internal', error.message);
+        }
+    });
+
+exports.consultarClientes = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'clientes')) throw new functions.https.HttpsError('permission-denied', 'Acceso denegado.');
+        
+        const { busqueda, limit = 20, lastDocId } = data;
+        let query = db.collection('Clientes');
+
+        if (busqueda) {
+            query = query.orderBy('name').startAt(busqueda).endAt(busqueda + '\uf8ff');
+        } else {
+            query = query.orderBy('createdAt', 'desc');
+        }
+
+        if (lastDocId) {
+            const doc = await db.collection('Clientes').doc(lastDocId).get();
+            if (doc.exists) query = query.startAfter(doc);
+        }
+
+        const snap = await query.limit(limit).get();
+        return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+    } catch (error) {
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+exports.consultarBloqueoCliente = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'clientes')) throw new functions.https.HttpsError('permission-denied', 'Acceso denegado.');
+        validarTipo(data.uid_cliente, 'string', 'uid_cliente');
+
+        const clienteSnap = await db.collection('Clientes').doc(data.uid_cliente).get();
+        if (!clienteSnap.exists) throw new functions.https.HttpsError('not-found', 'Cliente no encontrado');
+        const cliente = clienteSnap.data();
+
+        const politica = await obtenerPoliticaPenalizacion();
+        const incidencias = await incidenciasCliente(data.uid_cliente, politica, cliente);
+
+        return {
+            bloqueado: !!bloqueoVigente(cliente),
+            bloqueo: cliente.bloqueo_citas || null,
+            bloqueo_levantado: cliente.bloqueo_levantado || null,
+            incidencias: incidencias.map(d => ({ id: d.id, estado: estadoCita(d.data()), fecha: d.data().fecha, ocurrida_en: d.data().estado_cambiado_en || null })),
+            politica
+        };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.levantarBloqueoCliente = functions.https.onCall(async (data, context) => {
+    try {
+        const uidAdmin = context.auth?.uid;
+        if (!tienePermiso(context, 'clientes')) throw new functions.https.HttpsError('permission-denied', 'Acceso denegado.');
+        validarTipo(data.uid_cliente, 'string', 'uid_cliente');
+
+        const clienteRef = db.collection('Clientes').doc(data.uid_cliente);
+        const clienteSnap = await clienteRef.get();
+        if (!clienteSnap.exists) throw new functions.https.HttpsError('not-found', 'Cliente no encontrado');
+
+        // Se guarda la fecha del desbloqueo para que las incidencias anteriores no vuelvan a bloquear
+        await clienteRef.update({
+            bloqueo_citas: admin.firestore.FieldValue.delete(),
+            bloqueo_levantado: {
+                fecha: admin.firestore.FieldValue.serverTimestamp(),
+                por: uidAdmin,
+                motivo: data.motivo || "",
+                bloqueo_anterior: clienteSnap.data().bloqueo_citas || null
+            }
+        });
+        return { success: true };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+// Los cambios de rol se ven en la app cuando el usuario renueva su token (a más tardar en una hora)
+exports.asignarRol = functions.https.onCall(async (data, context) => {
+    try {
+        const uid = context.auth?.uid;
+        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'No logueado');
+        validarCambioRol(data);
+        if (!tienePermiso(context, 'roles') && !(await puedeNombrarPrimerPropietario(uid, data.uid, data.rol))) {
+            throw new functions.https.HttpsError('permission-denied', 'Solo el propietario administra roles.');
+        }
+
+        const roles = await cambiarRoles(data.uid, actuales => [...new Set([...actuales, data.rol])], uid);
+        return { success: true, roles };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.revocarRol = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'roles')) throw new functions.https.HttpsError('permission-denied', 'Solo el propietario administra roles.');
+        validarCambioRol(data);
+
+        if (data.rol === 'propietario') {
+            const propietarios = await uidsConRoles(['propietario']);
+            if (propietarios.length === 1 && propietarios[0] === data.uid) {
+                throw new functions.https.HttpsError('failed-precondition', 'No puedes quitar al último propietario.');
+            }
+        }
+
+        const roles = await cambiarRoles(data.uid, actuales => actuales.filter(r => r !== data.rol), context.auth.uid);
+        return { success: true, roles };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.consultarRoles = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'roles')) throw new functions.https.HttpsError('permission-denied', 'Solo el propietario administra roles.');
+
+        const snap = await db.collection('Roles').orderBy('email').get();
+        return { roles_disponibles: ROLES, usuarios: snap.docs.map(d => ({ id: d.id, ...d.data() })) };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+// Pasa a rol admin a quienes estaban en la colección Admin del esquema anterior
+exports.migrarAdministradores = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'roles')) throw new functions.https.HttpsError('permission-denied', 'Solo el propietario administra roles.');
+
+        const legado = await db.collection('Admin').get();
+        const uids = [...new Set(legado.docs.map(d => d.data().uidClient).filter(u => u))];
+        const resultado = { migrados: 0, no_encontrados: [] };
+        for (const uid of uids) {
+            try {
+                await cambiarRoles(uid, actuales => [...new Set([...actuales, 'admin'])], context.auth.uid);
+                resultado.migrados++;
+            } catch (error) {
+                if (error.code !== 'not-found') throw error;
+                resultado.no_encontrados.push(uid);
+            }
+        }
+        return resultado;
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.guardarPersonal = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'personal')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+        validarTipo(data.uid, 'string', 'uid');
+
+        const ref = db.collection('Personal').doc(data.uid);
+        const existente = await ref.get();
+        const cambios = {};
+
+        if (!existente.exists || data.nombre !== undefined) {
+            validarTipo(data.nombre, 'string', 'nombre');
+            if (!data.nombre.trim()) throw new functions.https.HttpsError('invalid-argument', 'El nombre es obligatorio.');
+            cambios.nombre = data.nombre.trim();
+        }
+        if (data.horario !== undefined) cambios.horario = normalizarDias(data.horario, 'horario');
+        if (data.escenarios !== undefined) {
+            validarTipo(data.escenarios, 'array', 'escenarios');
+            const escenarios = [...new Set(data.escenarios)];
+            const docs = escenarios.length ? await db.getAll(...escenarios.map(id => db.collection('Escenarios').doc(String(id)))) : [];
+            const faltantes = docs.filter(d => !d.exists).map(d => d.id);
+            if (faltantes.length) throw new functions.https.HttpsError('invalid-argument', `Escenarios inexistentes: ${faltantes.join(', ')}`);
+            cambios.escenarios = escenarios;
+        }
+        if (data.activo !== undefined) {
+            validarTipo(data.activo, 'boolean', 'activo');
+            cambios.activo = data.activo;
+        }
+
+        if (!existente.exists) {
+            // El documento usa el uid de Auth para que cada miembro pueda consultar sus propias sesiones
+            try {
+                const usuario = await admin.auth().getUser(data.uid);
+                cambios.email = usuario.email || "";
+            } catch (error) {
+                throw new functions.https.HttpsError('not-found', 'No existe un usuario con ese uid.');
+            }
+            Object.assign(cambios, {
+                horario: cambios.horario || {},
+                escenarios: cambios.escenarios || [],
+                activo: cambios.activo ?? true,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+
+        await ref.set({ ...cambios, updatedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+        return { success: true, id: data.uid };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.consultarPersonal = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'citas')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+
+        let query = db.collection('Personal');
+        if (!data?.incluir_inactivos) query = query.where('activo', '==', true);
+        const snap = await query.get();
+        return snap.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => a.nombre.localeCompare(b.nombre));
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+// Sesiones asignadas al miembro del personal que llama, desde hoy (o desde la fecha indicada)
+exports.misSesiones = functions.https.onCall(async (data, context) => {
+    try {
+        const uid = context.auth?.uid;
+        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'No logueado');
+        const personal = await db.collection('Personal').doc(uid).get();
+        if (!personal.exists) throw new functions.https.HttpsError('permission-denied', 'No perteneces al personal del estudio.');
+
+        const { desde, limit = 50, lastDocId } = data || {};
+        const { zona_horaria } = await obtenerHorario();
+        let inicio = startOfDay(new TZDate(new Date(), zona_horaria));
+        if (desde) {
+            inicio = new Date(desde);
+            if (isNaN(inicio)) throw new functions.https.HttpsError('invalid-argument', 'Fecha inválida.');
+        }
+
+        let query = db.collection('Citas')
+            .where('personal_id', '==', uid)
+            .where('fecha', '>=', inicio)
+            .orderBy('fecha', 'asc');
+        if (lastDocId) {
+            const lastDoc = await db.collection('Citas').doc(lastDocId).get();
+            if (lastDoc.exists) query = query.startAfter(lastDoc);
+        }
+
+        const snap = await query.limit(Math.min(Number(limit) || 50, 100)).get();
+        return snap.docs.map((d) => {
+            const cita = d.data();
+            return {
+                id: d.id,
+                estado: estadoCita(cita),
+                fecha: cita.fecha,
+                fecha_fin: cita.fecha_fin,
+                escenario_id: cita.escenario_id,
+                escenario_nombre: cita.escenario_nombre,
+                uid_cliente: cita.uid_cliente,
+                notas_cliente: cita.notas_cliente || "",
+                notas_admin: cita.notas_admin || ""
+            };
+        });
     } catch (error) {
-        console.warn(`No se pudo borrar la imagen ${url}:`, error.message);
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
     }
-}
+});
 
-async function guardarNotificacion(uid, titulo, tipo, mensaje, imagen = null) {
+// El personal asignado cierra su propia sesión una vez empezó: atendida o no_asistio
+exports.marcarSesionAtendida = functions.https.onCall(async (data, context) => {
     try {
-        return await db.collection('Notificaciones').add({
-            uid_usuario: uid,
-            titulo,
-            tipo,
-            mensaje,
-            imagen,
-            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        const uid = context.auth?.uid;
+        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'No logueado');
+        validarTipo(data.id, 'string', 'id');
+        const estadoNuevo = data.estado || 'atendida';
+        if (!['atendida', 'no_asistio'].includes(estadoNuevo)) {
+            throw new functions.https.HttpsError('invalid-argument', 'El estado debe ser atendida o no_asistio.');
+        }
+
+        const citaRef = db.collection('Citas').doc(data.id);
+        let uidCliente;
+        await db.runTransaction(async (tx) => {
+            const citaSnap = await tx.get(citaRef);
+            if (!citaSnap.exists) throw new functions.https.HttpsError('not-found', 'Cita no encontrada');
+            const cita = citaSnap.data();
+
+            if (cita.personal_id !== uid) throw new functions.https.HttpsError('permission-denied', 'Esta sesión no está asignada a ti.');
+            const estadoActual = estadoCita(cita);
+            if (estadoActual !== 'aceptada') throw new functions.https.HttpsError('failed-precondition', `La cita está ${estadoActual}.`);
+            if (cita.fecha.toMillis() > Date.now()) throw new functions.https.HttpsError('failed-precondition', 'La sesión todavía no empieza.');
+
+            uidCliente = cita.uid_cliente;
+            tx.update(citaRef, { ...camposEstadoCita(estadoNuevo), updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+            registrarHistorial(tx, citaRef, {
+                actor_uid: uid,
+                actor_rol: 'personal',
+                estado_anterior: estadoActual,
+                estado_nuevo: estadoNuevo,
+                motivo: data.motivo
+            });
         });
-    } catch (e) {
-        console.error("Error guardando notificación db:", e);
-    }
-}
 
-const validarTipo = (valor, tipo, nombreCampo) => {
-    if (tipo === 'array') {
-        if (!Array.isArray(valor)) throw new functions.https.HttpsError('invalid-argument', `El campo ${nombreCampo} debe ser una lista.`);
-    } else if (typeof valor !== tipo) {
-        throw new functions.https.HttpsError('invalid-argument', `El campo ${nombreCampo} debe ser ${tipo}.`);
-    }
-};
+        const politica = await obtenerPoliticaPenalizacion();
+        if (politica.estados_penalizados.includes(estadoNuevo)) await evaluarBloqueoCliente(uidCliente);
 
+        return { success: true, estado: estadoNuevo };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
 
-exports.crearEscenario = functions.https.onCall(async (data, context) => {
+exports.registrarDispositivo = functions.https.onCall(async (data, context) => {
     try {
-        if (!(await esAdministrador(context.auth?.uid))) {
-            throw new functions.https.HttpsError('permission-denied', 'Solo administradores pueden crear escenarios.');
-        }
+        const { token_fcm, uid_dispositivo, plataforma } = data;
+        const uid_usuario = context.auth ? context.auth.uid : null;
 
-        validarTipo(data.nombre, 'string', 'nombre');
-        validarTipo(data.categoria, 'string', 'categoria');
-        validarTipo(data.especial, 'boolean', 'especial');
+        await db.collection('Dispositivos').doc(uid_dispositivo).set({
+            uid_usuario,
+            token_fcm,
+            plataforma,
+            activo: true,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }, { merge: true });
 
-        const { nombre, categoria, sub_categoria, descripcion, especial, tiempo_sesion, lleva_traje, img_principal, list_img } = data;
+        return { success: true };
+    } catch (error) {
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
 
-        return await db.collection('Escenarios').add({
-            nombre,
-            categoria,
-            sub_categoria: sub_categoria || "",
-            descripcion: descripcion || "",
-            especial: especial || false,
-            tiempo_sesion: especial ? null : (Number(tiempo_sesion) || 0),
-            lleva_traje: lleva_traje || false,
-            img_principal: img_principal || "",
-            list_img: Array.isArray(list_img) ? list_img.slice(0, 5) : [],
-            createdAt: admin.firestore.FieldValue.serverTimestamp(),
-            updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        });
+exports.consultarPreferenciasNotificaciones = functions.https.onCall(async (data, context) => {
+    try {
+        const uid = context.auth?.uid;
+        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'No logueado');
+
+        const cliente = await db.collection('Clientes').doc(uid).get();
+        const preferencias = cliente.data()?.preferencias_notificaciones || {};
+
+        return {
+            tipos: Object.fromEntries(TIPOS_NOTIFICACION.map(t => [t, preferencias.tipos?.[t] !== false])),
+            horario_silencio: preferencias.horario_silencio || null
+        };
     } catch (error) {
         throw new functions.https.HttpsError(error.code || 'internal', error.message);
     }
 });
 
-exports.actualizarEscenario = functions.https.onCall(async (data, context) => {
+exports.actualizarPreferenciasNotificaciones = functions.https.onCall(async (data, context) => {
     try {
-        if (!(await esAdministrador(context.auth?.uid))) {
-            throw new functions.https.HttpsError('permission-denied', 'No tienes permisos.');
-        }
-
-        const { id, ...campos } = data;
-        if (!id) throw new functions.https.HttpsError('invalid-argument', 'Falta el ID del escenario.');
+        const uid = context.auth?.uid;
+        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'No logueado');
 
-        const docRef = db.collection('Escenarios').doc(id);
-        const docSnap = await docRef.get();
-        if (!docSnap.exists) throw new functions.https.HttpsError('not-found', 'Escenario no encontrado');
-        
-        const oldData = docSnap.data();
+        const { tipos, horario_silencio } = data;
+        const cambios = {};
 
-        if (campos.img_principal && oldData.img_principal !== campos.img_principal) {
-            await borrarImagenStorage(oldData.img_principal);
+        if (tipos !== undefined) {
+            for (const [tipo, activo] of Object.entries(tipos)) {
+                if (!TIPOS_NOTIFICACION.includes(tipo)) throw new functions.https.HttpsError('invalid-argument', `Tipo de notificación desconocido: ${tipo}`);
+                validarTipo(activo, 'boolean', `tipos.${tipo}`);
+            }
+            cambios.tipos = tipos;
         }
 
-        if (oldData.list_img && campos.list_img) {
-            const eliminar = oldData.list_img.filter(img => !campos.list_img.includes(img));
-            for (const img of eliminar) await borrarImagenStorage(img);
+        if (horario_silencio === null) {
+            cambios.horario_silencio = null;
+        } else if (horario_silencio !== undefined) {
+            const { inicio, fin, zona_horaria = HORARIO_POR_DEFECTO.zona_horaria } = horario_silencio;
+            if (!FORMATO_HORA.test(inicio) || !FORMATO_HORA.test(fin) || inicio === fin) {
+                throw new functions.https.HttpsError('invalid-argument', 'Horario de silencio inválido.');
+            }
+            try {
+                new Intl.DateTimeFormat('es', { timeZone: zona_horaria });
+            } catch (e) {
+                throw new functions.https.HttpsError('invalid-argument', 'Zona horaria desconocida.');
+            }
+            cambios.horario_silencio = { inicio, fin, zona_horaria };
         }
 
-        await docRef.update({
-            ...campos,
+        // merge conserva los tipos que no vienen en la petición
+        await db.collection('Clientes').doc(uid).set({
+            preferencias_notificaciones: cambios,
             updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        });
+        }, { merge: true });
+
         return { success: true };
     } catch (error) {
         throw new functions.https.HttpsError(error.code || 'internal', error.message);
     }
 });
 
-exports.eliminarEscenario = functions.https.onCall(async (data, context) => {
+exports.consultarNotificaciones = functions.https.onCall(async (data, context) => {
     try {
-        if (!(await esAdministrador(context.auth?.uid))) {
-            throw new functions.https.HttpsError('permission-denied', 'Solo administradores.');
+        const uid = context.auth?.uid;
+        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'No logueado');
+
+        const { limit = 20, lastDocId, solo_no_leidas } = data;
+        let query = db.collection('Notificaciones').where('uid_usuario', '==', uid);
+
+        if (solo_no_leidas) query = query.where('leida', '==', false);
+        query = query.orderBy('createdAt', 'desc');
+
+        if (lastDocId) {
+            const lastDoc = await db.collection('Notificaciones').doc(lastDocId).get();
+            if (lastDoc.exists && lastDoc.data().uid_usuario === uid) query = query.startAfter(lastDoc);
         }
 
-        const { id } = data;
-        const docRef = db.collection('Escenarios').doc(id);
-        const docSnap = await docRef.get();
-        if (!docSnap.exists) return { success: true };
-        
-        const escenario = docSnap.data();
+        const snap = await query.limit(Math.min(limit, 100)).get();
+        return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
 
-        if (escenario.img_principal) await borrarImagenStorage(escenario.img_principal);
-        if (escenario.list_img) {
-            for (const img of escenario.list_img) await borrarImagenStorage(img);
+exports.contarNotificacionesNoLeidas = functions.https.onCall(async (data, context) => {
+    try {
+        const uid = context.auth?.uid;
+        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'No logueado');
+
+        const snap = await db.collection('Notificaciones')
+            .where('uid_usuario', '==', uid)
+            .where('leida', '==', false)
+            .count()
+            .get();
+        return { total: snap.data().count };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.marcarNotificaciones = functions.https.onCall(async (data, context) => {
+    try {
+        const uid = context.auth?.uid;
+        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'No logueado');
+        const { ids, leida = true } = data;
+        validarTipo(leida, 'boolean', 'leida');
+
+        const refs = await notificacionesPropias(uid, ids);
+        const batch = db.batch();
+        refs.forEach(ref => batch.update(ref, {
+            leida,
+            leida_en: leida ? admin.firestore.FieldValue.serverTimestamp() : null
+        }));
+        await batch.commit();
+
+        return { success: true, actualizadas: refs.length };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.eliminarNotificaciones = functions.https.onCall(async (data, context) => {
+    try {
+        const uid = context.auth?.uid;
+        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'No logueado');
+
+        const refs = await notificacionesPropias(uid, data.ids);
+        const batch = db.batch();
+        refs.forEach(ref => batch.delete(ref));
+        await batch.commit();
+
+        return { success: true, eliminadas: refs.length };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.limpiarStorage = functions
+    .runWith({ timeoutSeconds: 540, memory: '512MB' })
+    .https.onCall(async (data, context) => {
+        try {
+            if (!tienePermiso(context, 'mantenimiento')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+
+            const { dry_run = true, gracia_horas = LIMPIEZA_POR_DEFECTO.gracia_horas } = data || {};
+            validarTipo(dry_run, 'boolean', 'dry_run');
+            validarTipo(gracia_horas, 'number', 'gracia_horas');
+            if (gracia_horas < 1) throw new functions.https.HttpsError('invalid-argument', 'El periodo de gracia debe ser de al menos 1 hora.');
+
+            return await limpiarStorageHuerfanos({ dryRun: dry_run, graciaHoras: gracia_horas });
+        } catch (error) {
+            throw new functions.https.HttpsError(error.code || 'internal', error.message);
         }
+    });
 
-        await docRef.delete();
+exports.crearCampana = functions.https.onCall(async (data, context) => {
+    try {
+        const uid = context.auth?.uid;
+        if (!tienePermiso(context, 'campanas')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+
+        const { titulo, mensaje, imagen, programada_para } = data;
+        validarTipo(titulo, 'string', 'titulo');
+        validarTipo(mensaje, 'string', 'mensaje');
+        if (!titulo.trim() || !mensaje.trim()) throw new functions.https.HttpsError('invalid-argument', 'Título y mensaje son obligatorios.');
+        if (imagen !== undefined && imagen !== null) validarTipo(imagen, 'string', 'imagen');
+        const segmento = validarSegmento(data.segmento);
+
+        // Sin fecha se envía en la próxima ejecución de enviarCampanas
+        const envio = programada_para ? new Date(programada_para) : new Date();
+        if (isNaN(envio)) throw new functions.https.HttpsError('invalid-argument', 'Fecha de programación inválida.');
+
+        const ref = await db.collection('Campanas').add({
+            titulo: titulo.trim(),
+            mensaje: mensaje.trim(),
+            imagen: imagen || "",
+            segmento,
+            estado: 'programada',
+            programada_para: admin.firestore.Timestamp.fromDate(envio),
+            creada_por: uid,
+            destinatarios: 0,
+            omitidos_por_preferencias: 0,
+            exitosos: 0,
+            fallidos: 0,
+            tokens_desactivados: 0,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return { success: true, id: ref.id };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
+
+exports.cancelarCampana = functions.https.onCall(async (data, context) => {
+    try {
+        if (!tienePermiso(context, 'campanas')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+        validarTipo(data.id, 'string', 'id');
+
+        const ref = db.collection('Campanas').doc(data.id);
+        await db.runTransaction(async (tx) => {
+            const snap = await tx.get(ref);
+            if (!snap.exists) throw new functions.https.HttpsError('not-found', 'Campaña no encontrada');
+            if (snap.data().estado !== 'programada') {
+                throw new functions.https.HttpsError('failed-precondition', 'Solo se pueden cancelar campañas programadas.');
+            }
+            tx.update(ref, { estado: 'cancelada', updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        });
         return { success: true };
     } catch (error) {
-        throw new functions.https.HttpsError('internal', error.message);
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
     }
 });
 
-exports.consultarEscenarios = functions.https.onCall(async (data, context) => {
+exports.consultarCampanas = functions.https.onCall(async (data, context) => {
     try {
-        const { limit = 20, lastDocId, terminoBusqueda, categoria, sub_categoria } = data;
-        let query = db.collection('Escenarios');
+        if (!tienePermiso(context, 'campanas')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
 
-        if (categoria) query = query.where('categoria', '==', categoria);
-        if (sub_categoria) query = query.where('sub_categoria', '==', sub_categoria);
-        
-        if (terminoBusqueda) {
-            query = query.where('nombre', '>=', terminoBusqueda)
-                         .where('nombre', '<=', terminoBusqueda + '\uf8ff');
-        } else {
-            query = query.orderBy('createdAt', 'desc');
-        }
+        const { estado, limit = 20, lastDocId } = data;
+        let query = db.collection('Campanas');
+        if (estado) query = query.where('estado', '==', estado);
+        query = query.orderBy('createdAt', 'desc');
 
         if (lastDocId) {
-            const lastDoc = await db.collection('Escenarios').doc(lastDocId).get();
+            const lastDoc = await db.collection('Campanas').doc(lastDocId).get();
             if (lastDoc.exists) query = query.startAfter(lastDoc);
         }
 
         const snap = await query.limit(limit).get();
-        return snap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        return snap.docs.map(d => ({ id: d.id, ...d.data() }));
     } catch (error) {
-        throw new functions.https.HttpsError('internal', error.message);
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
     }
 });
 
-exports.crearCita = functions.https.onCall(async (data, context) => {
+exports.estadisticas = functions.https.onCall(async (data, context) => {
     try {
-        if (!context.auth) throw new functions.https.HttpsError('unauthenticated', 'Debes iniciar sesión');
-        const uid = context.auth.uid;
+        if (!tienePermiso(context, 'reportes')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
 
-        validarTipo(data.fecha, 'string', 'fecha');
-        
-        const fechaCita = new Date(data.fecha); 
-        const unMesAtras = subMonths(new Date(), 1);
+        const { periodo = 'dia', desde, hasta } = data || {};
+        const config = PERIODOS_ESTADISTICAS[periodo];
+        if (!config) throw new functions.https.HttpsError('invalid-argument', `El periodo debe ser uno de: ${Object.keys(PERIODOS_ESTADISTICAS).join(', ')}.`);
+        if (desde) validarTipo(desde, 'string', 'desde');
+        if (hasta) validarTipo(hasta, 'string', 'hasta');
 
-        // Regla: Bloqueo por cancelaciones frecuentes
-        const rechazosSnap = await db.collection('Citas')
-            .where('uid_cliente', '==', uid)
-            .where('estado_solicitud', '==', 'rechazada')
-            .where('createdAt', '>=', unMesAtras)
-            .get();
+        // desde/hasta son días (yyyy-MM-dd) en la zona del estudio; por defecto los últimos 30 días, 12 semanas o 12 meses
+        const { zona_horaria } = await obtenerHorario();
+        const fin = parseISO(hasta || format(new TZDate(new Date(), zona_horaria), 'yyyy-MM-dd'));
+        const inicio = desde ? parseISO(desde) : config.desdePorDefecto(fin);
+        if (isNaN(inicio) || isNaN(fin) || inicio > fin) throw new functions.https.HttpsError('invalid-argument', 'Rango de fechas inválido.');
 
-        if (rechazosSnap.size >= 2) {
-            throw new functions.https.HttpsError('failed-precondition', 'Citas bloqueadas por cancelaciones frecuentes en el último mes.');
+        const claves = config.serie({ start: inicio, end: fin }).map(f => format(f, config.formato));
+        if (claves.length > MAX_PERIODOS_ESTADISTICAS) {
+            throw new functions.https.HttpsError('invalid-argument', `El rango no puede abarcar más de ${MAX_PERIODOS_ESTADISTICAS} periodos.`);
         }
 
-        const inicioDia = startOfDay(fechaCita);
-        const finDia = endOfDay(fechaCita);
-        const citasHoySnap = await db.collection('Citas')
-            .where('uid_cliente', '==', uid)
-            .where('fecha', '>=', inicioDia)
-            .where('fecha', '<=', finDia)
-            .get();
+        const docs = await db.getAll(...claves.map(clave => db.collection('Estadisticas').doc(`${periodo}_${clave}`)));
+        const totales = docs.reduce((acc, d) => sumarContadores(acc, d.data()), {});
 
-        if (!citasHoySnap.empty) {
-            throw new functions.https.HttpsError('already-exists', 'Ya tienes una cita programada para este día.');
-        }
+        const topEscenarios = topContadores(totales.escenarios);
+        const escenarios = topEscenarios.length ? await db.getAll(...topEscenarios.map(e => db.collection('Escenarios').doc(e.id))) : [];
 
-        const nuevaCita = {
-            ...data,
-            uid_cliente: uid,
-            fecha: admin.firestore.Timestamp.fromDate(fechaCita),
-            estado_solicitud: 'espera',
-            estado_atendida: 'espera',
-            createdAt: admin.firestore.FieldValue.serverTimestamp(),
-            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        return {
+            periodo,
+            desde: format(inicio, 'yyyy-MM-dd'),
+            hasta: format(fin, 'yyyy-MM-dd'),
+            resumen: {
+                ...resumenEstadisticas(totales),
+                top_escenarios: topEscenarios.map((e, i) => ({ ...e, nombre: escenarios[i].data()?.nombre || null })),
+                top_categorias: topContadores(totales.categorias).map(({ id, ...c }) => ({ categoria: id, ...c }))
+            },
+            serie: docs.map((d, i) => ({ clave: claves[i], ...resumenEstadisticas(d.data() || {}) }))
         };
-
-        return await db.collection('Citas').add(nuevaCita);
     } catch (error) {
         throw new functions.https.HttpsError(error.code || 'internal', error.message);
     }
 });
 
-exports.actualizarCita = functions.https.onCall(async (data, context) => {
-    try {
-        const { id, ...campos } = data;
-        const uid = context.auth.uid;
-        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'No logueado');
-
-        const isAdmin = await esAdministrador(uid);
-        const citaRef = db.collection('Citas').doc(id);
-        const citaSnap = await citaRef.get();
-        
-        if(!citaSnap.exists) throw new functions.https.HttpsError('not-found', 'Cita no encontrada');
-        const citaData = citaSnap.data();
+// Reconstruye los contadores desde cero (carga inicial o después de corregir datos); conviene correrlo con poco tráfico
+exports.recalcularEstadisticas = functions
+    .runWith({ timeoutSeconds: 540, memory: '512MB' })
+    .https.onCall(async (data, context) => {
+        try {
+            if (!tienePermiso(context, 'mantenimiento')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
 
-        if (isAdmin) {
-            await citaRef.update({
-                ...campos,
-                updatedAt: admin.firestore.FieldValue.serverTimestamp()
-            });
-        } else {
-            if (citaData.uid_cliente !== uid) {
-                throw new functions.https.HttpsError('permission-denied', 'No tienes permiso sobre esta cita.');
+            const { zona_horaria } = await obtenerHorario();
+            const totales = new Map();
+            const fuentes = [
+                {
+                    query: db.collection('Citas').select('fecha', 'estado', 'estado_solicitud', 'estado_atendida', 'escenario_id', 'escenario_categoria', 'primera_cita'),
+                    aportes: d => aportesCita(d.data())
+                },
+                { query: db.collection('Clientes').select(), aportes: aportesCliente },
+                { query: db.collection('Solicitudes_Fotos').select('fecha_solicitud', 'estado', 'entregado_en'), aportes: d => aportesSolicitud(d.data()) }
+            ];
+            for (const { query, aportes } of fuentes) {
+                for await (const docs of paginar(query.orderBy(admin.firestore.FieldPath.documentId()))) {
+                    docs.forEach(d => acumularAportes(totales, aportes(d), 1, zona_horaria));
+                }
             }
-            // El cliente solo puede cancelar (pasar a rechazada)
-            if (Object.keys(campos).length === 1 && campos.estado_solicitud === 'rechazada') {
-                 await citaRef.update({
-                    estado_solicitud: 'rechazada',
+
+            const existentes = await db.collection('Estadisticas').listDocuments();
+            const sobrantes = existentes.filter(ref => !totales.has(ref.id));
+            const escrituras = [
+                ...[...totales].map(([id, { periodo, clave, campos }]) => (batch) => batch.set(db.collection('Estadisticas').doc(id), {
+                    periodo,
+                    clave,
+                    ...anidarContadores([...campos.values()], v => v),
                     updatedAt: admin.firestore.FieldValue.serverTimestamp()
-                });
-            } else {
-                throw new functions.https.HttpsError('permission-denied', 'Los clientes solo pueden cancelar su cita.');
+                })),
+                ...sobrantes.map(ref => (batch) => batch.delete(ref))
+            ];
+            for (let i = 0; i < escrituras.length; i += TAMANO_PAGINA) {
+                const batch = db.batch();
+                escrituras.slice(i, i + TAMANO_PAGINA).forEach(escribir => escribir(batch));
+                await batch.commit();
             }
+
+            return { success: true, documentos: totales.size, eliminados: sobrantes.length };
+        } catch (error) {
+            throw new functions.https.HttpsError(error.code || 'internal', error.message);
         }
-        return { success: true };
-    } catch (error) {
-        throw new functions.https.HttpsError('internal', error.message);
-    }
-});
+    });
 
-exports.consultarCitas = functions.https.onCall(async (data, context) => {
-    try {
-        const uid = context.auth.uid;
-        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'No logueado');
+exports.exportarCitasCsv = functions
+    .runWith({ timeoutSeconds: 300, memory: '512MB' })
+    .https.onCall(async (data, context) => {
+        try {
+            if (!tienePermiso(context, 'reportes')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
 
-        const isAdmin = await esAdministrador(uid);
-        const { uid_cliente_consulta, fecha, limit = 20, lastDocId } = data;
+            const { zona_horaria } = await obtenerHorario();
+            const { inicio, fin } = rangoDias(data.desde, data.hasta, zona_horaria);
+            if (data.estado && !TRANSICIONES_CITA[data.estado]) throw new functions.https.HttpsError('invalid-argument', 'Estado inválido.');
 
-        let query = db.collection('Citas');
+            let query = db.collection('Citas').where('fecha', '>=', inicio).where('fecha', '<=', fin);
+            if (data.estado) query = query.where('estado', '==', data.estado);
+            query = query.orderBy('fecha', 'asc');
 
-        if (isAdmin) {
-            if (fecha) {
-                const d = new Date(fecha);
-                query = query.where('fecha', '>=', startOfDay(d))
-                             .where('fecha', '<=', endOfDay(d));
-            } else if (uid_cliente_consulta) {
-                query = query.where('uid_cliente', '==', uid_cliente_consulta);
+            const citas = [];
+            for await (const docs of paginar(query)) citas.push(...docs);
+            const clientes = await clientesPorUid(citas.map(d => d.data().uid_cliente));
+
+            const filas = citas.map((d) => {
+                const cita = d.data();
+                const cliente = clientes.get(cita.uid_cliente) || {};
+                const total = cita.cotizacion?.total ?? null;
+                return [
+                    d.id,
+                    format(new TZDate(cita.fecha.toDate(), zona_horaria), 'yyyy-MM-dd HH:mm'),
+                    cita.duracion_minutos,
+                    cita.escenario_nombre,
+                    cita.escenario_categoria,
+                    cliente.name,
+                    cliente.email,
+                    estadoCita(cita),
+                    cita.estado_solicitud,
+                    cita.estado_atendida,
+                    total,
+                    cita.promocion?.codigo,
+                    cita.promocion?.monto_descuento,
+                    cita.promocion ? cita.promocion.total_con_descuento : total,
+                    cita.cotizacion?.moneda,
+                    cita.notas_cliente,
+                    cita.notas_admin
+                ];
+            });
+
+            return await guardarCsv(`citas_${data.desde}_${data.hasta}`, [
+                'id', 'fecha', 'duracion_minutos', 'escenario', 'categoria', 'cliente', 'email', 'estado',
+                'estado_solicitud', 'estado_atendida', 'precio', 'codigo_promocion', 'descuento', 'total', 'moneda', 'notas_cliente', 'notas_admin'
+            ], filas);
+        } catch (error) {
+            throw new functions.https.HttpsError(error.code || 'internal', error.message);
+        }
+    });
+
+exports.exportarClientesCsv = functions
+    .runWith({ timeoutSeconds: 300, memory: '512MB' })
+    .https.onCall(async (data, context) => {
+        try {
+            if (!tienePermiso(context, 'reportes')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+
+            const { zona_horaria } = await obtenerHorario();
+            const fecha = (ts) => ts ? format(new TZDate(ts.toDate(), zona_horaria), 'yyyy-MM-dd HH:mm') : '';
+            const filas = [];
+
+            const query = db.collection('Clientes').orderBy(admin.firestore.FieldPath.documentId());
+            for await (const docs of paginar(query)) {
+                docs.forEach((d) => {
+                    const cliente = d.data();
+                    filas.push([
+                        d.id,
+                        cliente.name,
+                        cliente.email,
+                        cliente.provider,
+                        fecha(d.createTime),
+                        fecha(cliente.ultima_cita_en),
+                        fecha(bloqueoVigente(cliente)?.hasta)
+                    ]);
+                });
             }
-        } else {
-            query = query.where('uid_cliente', '==', uid)
-                         .where('estado_solicitud', '!=', 'rechazada');
+
+            return await guardarCsv('clientes', ['uid', 'nombre', 'email', 'proveedor', 'registrado_en', 'ultima_cita_en', 'bloqueado_hasta'], filas);
+        } catch (error) {
+            throw new functions.https.HttpsError(error.code || 'internal', error.message);
         }
+    });
 
-        query = query.orderBy('fecha', 'asc');
+// Enlace secreto para suscribirse desde Google/Apple Calendar; regenerar invalida el anterior
+exports.obtenerEnlaceCalendario = functions.https.onCall(async (data, context) => {
+    try {
+        const uid = context.auth?.uid;
+        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'Inicie sesión.');
 
-        if (limit) query = query.limit(limit);
-        if (lastDocId) {
-            const lastDoc = await db.collection('Citas').doc(lastDocId).get();
-            if (lastDoc.exists) query = query.startAfter(lastDoc);
+        const { alcance = 'cliente', regenerar = false } = data || {};
+        if (!ALCANCES_CALENDARIO.includes(alcance)) throw new functions.https.HttpsError('invalid-argument', 'El alcance debe ser cliente o estudio.');
+        validarTipo(regenerar, 'boolean', 'regenerar');
+        if (alcance === 'estudio' && !tienePermiso(context, 'agenda')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+
+        const existentes = await db.collection('Calendarios').where('uid', '==', uid).where('alcance', '==', alcance).get();
+        let token = existentes.empty ? null : existentes.docs[0].id;
+
+        if (!token || regenerar) {
+            const batch = db.batch();
+            existentes.docs.forEach(d => batch.delete(d.ref));
+            token = crypto.randomBytes(24).toString('hex');
+            batch.set(db.collection('Calendarios').doc(token), {
+                uid,
+                alcance,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            await batch.commit();
         }
 
-        const snap = await query.get();
-        return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+        const url = `https://${REGION_FUNCIONES}-${process.env.GCLOUD_PROJECT}.cloudfunctions.net/calendarioIcs?token=${token}`;
+        return { url, webcal: url.replace(/^https:/, 'webcal:') };
     } catch (error) {
-        throw new functions.https.HttpsError('internal', error.message);
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
     }
 });
 
-exports.crearOActualizarCliente = functions.https.onCall(async (data, context) => {
+// Feed .ics con las citas aceptadas o atendidas de los últimos 90 días en adelante, del cliente o de todo el estudio
+exports.calendarioIcs = functions.https.onRequest(async (req, res) => {
     try {
-        const { provider, providerUserId, name, email, photo } = data;
-        const uid = context.auth.uid;
-        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'No logueado');
+        if (!['GET', 'HEAD'].includes(req.method)) return res.status(405).send('Método no permitido');
 
-        await db.collection('Clientes').doc(uid).set({
-            provider: provider || "",
-            providerUserId: providerUserId || "",
-            name: name || "Sin nombre",
-            email: email || "",
-            photo: photo || "",
-            updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        }, { merge: true });
+        const token = String(req.query.token || '');
+        const snap = FORMATO_TOKEN_CALENDARIO.test(token) ? await db.collection('Calendarios').doc(token).get() : null;
+        if (!snap?.exists) return res.status(404).send('Calendario no encontrado');
 
-        return { success: true };
+        const { uid, alcance } = snap.data();
+        const estudio = alcance === 'estudio';
+        if (estudio && !rolesPermiten(await rolesDeUsuario(uid), 'agenda')) return res.status(403).send('Acceso denegado');
+
+        let query = db.collection('Citas');
+        if (!estudio) query = query.where('uid_cliente', '==', uid);
+        query = query.where('estado', 'in', ESTADOS_CALENDARIO)
+            .where('fecha', '>=', subDays(new Date(), DIAS_HISTORIAL_CALENDARIO))
+            .orderBy('fecha', 'asc');
+
+        const citas = [];
+        for await (const docs of paginar(query)) citas.push(...docs);
+        const clientes = estudio ? await clientesPorUid(citas.map(d => d.data().uid_cliente)) : null;
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Cache-Control', 'private, max-age=900');
+        return res.status(200).send(generarIcs(estudio ? 'Enfoque - Estudio' : 'Enfoque - Mis citas', citas, clientes));
     } catch (error) {
-        throw new functions.https.HttpsError('internal', error.message);
+        console.error("Error generando calendario:", error.message);
+        return res.status(500).send('Error generando el calendario');
     }
 });
 
-exports.eliminarCliente = functions.https.onCall(async (data, context) => {
+exports.crearSolicitudFotos = functions.https.onCall(async (data, context) => {
     try {
-        const { uid_a_eliminar } = data;
-        const uid_solicitante = context.auth.uid;
-        const isAdmin = await esAdministrador(uid_solicitante);
+        const uid = context.auth?.uid;
+        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'Inicie sesión.');
 
-        if (uid_a_eliminar !== uid_solicitante && !isAdmin) {
-            throw new functions.https.HttpsError('permission-denied', 'No autorizado para eliminar este perfil.');
+        validarTipo(data.cita_id, 'string', 'cita_id');
+        const pago = datosPago(uid, data);
+
+        // Regla: la solicitud paga una sesión propia que ya fue aceptada o atendida
+        const citaSnap = await db.collection('Citas').doc(data.cita_id).get();
+        if (!citaSnap.exists || citaSnap.data().uid_cliente !== uid) throw new functions.https.HttpsError('not-found', 'Cita no encontrada');
+        if (!['aceptada', 'atendida'].includes(estadoCita(citaSnap.data()))) {
+            throw new functions.https.HttpsError('failed-precondition', 'Solo puedes pedir fotos de una cita aceptada o atendida.');
         }
 
-        await db.collection('Clientes').doc(uid_a_eliminar).delete();
-        return { success: true };
+        const citaRef = citaSnap.ref;
+        const ref = db.collection('Solicitudes_Fotos').doc();
+
+        // La cita guarda el id de su solicitud: dos envíos simultáneos chocan en la transacción
+        await db.runTransaction(async (tx) => {
+            const [cita, existentes] = await Promise.all([
+                tx.get(citaRef),
+                tx.get(db.collection('Solicitudes_Fotos').where('cita_id', '==', data.cita_id).limit(1))
+            ]);
+            if (cita.data().solicitud_fotos_id || !existentes.empty) {
+                throw new functions.https.HttpsError('already-exists', 'Ya existe una solicitud de fotos para esta cita.');
+            }
+
+            tx.set(ref, {
+                uid_cliente: uid,
+                cita_id: data.cita_id,
+                escenario_nombre: citaSnap.data().escenario_nombre || "",
+                ...pago,
+                estado: 'pendiente',
+                fotos_urls: [],
+                recibos_anteriores: [],
+                fecha_solicitud: admin.firestore.FieldValue.serverTimestamp(),
+                fecha_actualizacion: admin.firestore.FieldValue.serverTimestamp()
+            });
+            tx.update(citaRef, { solicitud_fotos_id: ref.id });
+            registrarHistorial(tx, ref, { actor_uid: uid, actor_rol: 'cliente', estado_nuevo: 'pendiente' });
+        });
+
+        return { success: true, id: ref.id };
     } catch (error) {
-        throw new functions.https.HttpsError('internal', error.message);
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
     }
 });
 
-exports.consultarClientes = functions.https.onCall(async (data, context) => {
+exports.reenviarReciboSolicitud = functions.https.onCall(async (data, context) => {
     try {
-        if (!(await esAdministrador(context.auth?.uid))) throw new functions.https.HttpsError('permission-denied', 'Acceso denegado.');
-        
-        const { busqueda, limit = 20, lastDocId } = data;
-        let query = db.collection('Clientes');
+        const uid = context.auth?.uid;
+        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'Inicie sesión.');
 
-        if (busqueda) {
-            query = query.orderBy('name').startAt(busqueda).endAt(busqueda + '\uf8ff');
-        } else {
-            query = query.orderBy('createdAt', 'desc');
-        }
+        const pago = datosPago(uid, data);
+        // El recibo anterior no se pisa: queda en recibos_anteriores y la limpieza de Storage lo respeta
+        await cambiarEstadoSolicitud(data.id, 'pendiente', {
+            uid,
+            rol: 'cliente',
+            cambios: (previa) => ({
+                ...pago,
+                recibos_anteriores: admin.firestore.FieldValue.arrayUnion({
+                    recibo_url: previa.recibo_url || null,
+                    monto: previa.monto ?? null,
+                    metodo_pago: previa.metodo_pago || null,
+                    referencia_pago: previa.referencia_pago || "",
+                    motivo_rechazo: previa.motivo_estado || "",
+                    reemplazado_en: admin.firestore.Timestamp.now()
+                })
+            })
+        });
+        return { success: true };
+    } catch (error) {
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
+    }
+});
 
-        if (lastDocId) {
-            const doc = await db.collection('Clientes').doc(lastDocId).get();
-            if (doc.exists) query = query.startAfter(doc);
-        }
+exports.verificarReciboSolicitud = functions.https.onCall(async (data, context) => {
+    try {
+        const uid = context.auth?.uid;
+        if (!tienePermiso(context, 'pagos')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
+        validarTipo(data.aprobar, 'boolean', 'aprobar');
+        if (!data.aprobar && !data.motivo) throw new functions.https.HttpsError('invalid-argument', 'Debes indicar el motivo del rechazo.');
 
-        const snap = await query.limit(limit).get();
-        return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+        await cambiarEstadoSolicitud(data.id, data.aprobar ? 'recibo_verificado' : 'recibo_rechazado', {
+            uid,
+            rol: 'admin',
+            motivo: data.motivo,
+            cambios: { verificacion: { por: uid, aprobado: data.aprobar, motivo: data.motivo || "", fecha: admin.firestore.Timestamp.now() } }
+        });
+        return { success: true };
     } catch (error) {
-        throw new functions.https.HttpsError('internal', error.message);
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
     }
 });
 
-exports.registrarDispositivo = functions.https.onCall(async (data, context) => {
+exports.iniciarProcesoSolicitud = functions.https.onCall(async (data, context) => {
     try {
-        const { token_fcm, uid_dispositivo, plataforma } = data;
-        const uid_usuario = context.auth ? context.auth.uid : null;
-
-        await db.collection('Dispositivos').doc(uid_dispositivo).set({
-            uid_usuario,
-            token_fcm,
-            plataforma,
-            activo: true,
-            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-        }, { merge: true });
+        const uid = context.auth?.uid;
+        if (!tienePermiso(context, 'fotos')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
 
+        await cambiarEstadoSolicitud(data.id, 'en_proceso', { uid, rol: 'admin', motivo: data.motivo });
         return { success: true };
     } catch (error) {
-        throw new functions.https.HttpsError('internal', error.message);
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
     }
 });
 
-exports.crearSolicitudFotos = functions.https.onCall(async (data, context) => {
+exports.actualizarSolicitudAdmin = functions.https.onCall(async (data, context) => {
     try {
-        const uid = context.auth.uid;
-        if (!uid) throw new functions.https.HttpsError('unauthenticated', 'Inicie sesión.');
+        const uid = context.auth?.uid;
+        if (!tienePermiso(context, 'fotos')) throw new functions.https.HttpsError('permission-denied', 'No tienes permiso para esta acción.');
 
-        return await db.collection('Solicitudes_Fotos').add({
-            uid_cliente: uid,
-            recibo_url: data.recibo_url || "",
-            estado: 'pendiente',
-            fotos_urls: [],
-            fecha_solicitud: admin.firestore.FieldValue.serverTimestamp(),
-            fecha_actualizacion: admin.firestore.FieldValue.serverTimestamp()
+        const { id, fotos_urls, dias_disponibles } = data;
+        if (dias_disponibles !== undefined && dias_disponibles !== null) validarTipo(dias_disponibles, 'number', 'dias_disponibles');
+
+        await cambiarEstadoSolicitud(id, 'entregado', {
+            uid,
+            rol: 'admin',
+            cambios: {
+                fotos_urls: fotos_urls || [],
+                entregado_en: admin.firestore.Timestamp.now(),
+                // Sin dias_disponibles las fotos no expiran
+                expira_en: dias_disponibles > 0 ? admin.firestore.Timestamp.fromDate(addDays(new Date(), dias_disponibles)) : null
+            }
         });
+        const saldo = await descontarFotosPaquete(id, (fotos_urls || []).length);
+        return { success: true, fotos_editadas_restantes: saldo ? saldo.fotos_editadas_restantes : null };
     } catch (error) {
-        throw new functions.https.HttpsError('internal', error.message);
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
     }
 });
 
-exports.actualizarSolicitudAdmin = functions.https.onCall(async (data, context) => {
+exports.obtenerEnlacesFotos = functions.https.onCall(async (data, context) => {
     try {
-        if (!(await esAdministrador(context.auth?.uid))) throw new functions.https.HttpsError('permission-denied', 'Solo admin.');
+        const uid = context.auth?.uid;
+        const { ref, solicitud } = await solicitudConAccesoAFotos(context, data.id);
+        const rutas = await rutasFotosSolicitud(data.id, solicitud);
 
-        const { id, fotos_urls } = data;
-        await db.collection('Solicitudes_Fotos').doc(id).update({
-            fotos_urls: fotos_urls || [],
-            estado: 'entregado',
-            fecha_actualizacion: admin.firestore.FieldValue.serverTimestamp()
-        });
-        return { success: true };
+        const fotos = await Promise.all(rutas.map(async (ruta) => ({
+            ruta,
+            url: await enlaceFirmado(ruta, MINUTOS_ENLACE_FOTOS),
+            thumb: solicitud.fotos_variantes?.[ruta] ? await enlaceFirmado(solicitud.fotos_variantes[ruta].thumb, MINUTOS_ENLACE_FOTOS) : null
+        })));
+
+        await registrarDescarga(ref, uid, 'enlaces', rutas.length);
+        return { fotos, expira_en: new Date(Date.now() + MINUTOS_ENLACE_FOTOS * 60000).toISOString() };
     } catch (error) {
-        throw new functions.https.HttpsError('internal', error.message);
+        throw new functions.https.HttpsError(error.code || 'internal', error.message);
     }
 });
 
+exports.generarZipFotos = functions
+    .runWith({ timeoutSeconds: 300, memory: '1GB' })
+    .https.onCall(async (data, context) => {
+        try {
+            const uid = context.auth?.uid;
+            const { ref, solicitud } = await solicitudConAccesoAFotos(context, data.id);
+            const rutas = await rutasFotosSolicitud(data.id, solicitud);
+            if (!rutas.length) throw new functions.https.HttpsError('failed-precondition', 'La solicitud no tiene fotos entregadas.');
+
+            // Se reutiliza el ZIP si se generó después de la última entrega
+            let zip = solicitud.zip;
+            const vigente = zip && zip.generado_en.toMillis() >= (solicitud.fecha_actualizacion?.toMillis() || 0);
+
+            if (!vigente) {
+                const ruta = `zips/${data.id}/fotos_${Date.now()}.zip`;
+                const bucket = storage.bucket();
+                const archivo = archiver('zip', { zlib: { level: 0 } });
+                const destino = bucket.file(ruta).createWriteStream({ contentType: 'application/zip', resumable: false });
+                const terminado = new Promise((resolve, reject) => {
+                    destino.on('finish', resolve);
+                    destino.on('error', reject);
+                    archivo.on('error', reject);
+                });
+
+                archivo.pipe(destino);
+                // Las fotos ya vienen comprimidas, así que se guardan sin recomprimir
+                rutas.forEach(r => archivo.append(bucket.file(r).createReadStream(), { name: path.posix.basename(r) }));
+                await archivo.finalize();
+                await terminado;
+
+                if (zip?.ruta) await borrarImagenStorage(zip.ruta);
+                zip = { ruta, archivos: rutas.length, generado_en: admin.firestore.Timestamp.now() };
+                await ref.update({ zip });
+            }
+
+            const url = await enlaceFirmado(zip.ruta, MINUTOS_ENLACE_ZIP, { responseDisposition: `attachment; filename="fotos_${data.id}.zip"` });
+            await registrarDescarga(ref, uid, 'zip', zip.archivos);
+
+            return { url, expira_en: new Date(Date.now() + MINUTOS_ENLACE_ZIP * 60000).toISOString() };
+        } catch (error) {
+            throw new functions.https.HttpsError(error.code || 'internal', error.message);
+        }
+    });
+
 exports.eliminarSolicitud = functions.https.onCall(async (data, context) => {
     try {
         const { id } = data;
         const uid = context.auth.uid;
-        const isAdmin = await esAdministrador(uid);
+        const isAdmin = tienePermiso(context, 'eliminar_datos');
 
         const docRef = db.collection('Solicitudes_Fotos').doc(id);
         const doc = await docRef.get();
@@ -437,37 +4606,82 @@ exports.notificarCambioCita = functions.firestore
         const newData = change.after.data();
         const oldData = change.before.data();
 
-        if (newData.estado_solicitud === oldData.estado_solicitud) return null;
-
         const uid = newData.uid_cliente;
         const titulo = newData.escenario_nombre || "Cita";
-        const tipo = 'Confirmación';
-        let mensaje = '';
-        
-        if (newData.estado_solicitud === 'aceptada') {
-            mensaje = `Tu cita para ${titulo} ha sido confirmada.`;
-        } else if (newData.estado_solicitud === 'rechazada') {
-            mensaje = `Tu cita para ${titulo} ha sido rechazada.`;
-        } else {
-            return null;
+        const imagen = newData.escenario_img_principal;
+        const avisos = [];
+
+        if (newData.estado_solicitud !== oldData.estado_solicitud) {
+            if (newData.estado_solicitud === 'aceptada') {
+                avisos.push({ uid, tipo: 'Confirmación', mensaje: `Tu cita para ${titulo} ha sido confirmada.` });
+            } else if (newData.estado_solicitud === 'rechazada') {
+                avisos.push({ uid, tipo: 'Confirmación', mensaje: `Tu cita para ${titulo} ha sido rechazada.` });
+            }
         }
 
-        const imagen = newData.escenario_img_principal;
-        await guardarNotificacion(uid, titulo, tipo, mensaje, imagen);
+        const reprogramacion = newData.reprogramacion;
+        const anterior = oldData.reprogramacion;
+        const cambioReprogramacion = reprogramacion && (
+            reprogramacion.estado !== anterior?.estado ||
+            !reprogramacion.solicitada_en.isEqual(anterior.solicitada_en)
+        );
 
-        const devices = await db.collection('Dispositivos')
-            .where('uid_usuario', '==', uid)
-            .where('activo', '==', true)
-            .get();
-        
-        const tokens = devices.docs.map(d => d.data().token_fcm).filter(t => t);
+        if (cambioReprogramacion) {
+            const { zona_horaria } = await obtenerHorario();
+            const propuesta = fechaLegible(reprogramacion.fecha.toDate(), zona_horaria);
 
-        if (tokens.length > 0) {
-            await messaging.sendEachForMulticast({
-                tokens,
-                notification: { title: titulo, body: mensaje, image: imagen || "" }
-            });
+            if (reprogramacion.estado === 'pendiente') {
+                avisos.push({ uid, tipo: 'Reprogramación', mensaje: `Recibimos tu solicitud para mover tu cita de ${titulo} al ${propuesta}.` });
+                const personal = await uidsConRoles(['propietario', ...PERMISOS.citas]);
+                personal.forEach((uidAdmin) => {
+                    avisos.push({ uid: uidAdmin, tipo: 'Reprogramación', mensaje: `Un cliente pidió mover su cita de ${titulo} al ${propuesta}.` });
+                });
+            } else if (reprogramacion.estado === 'aceptada') {
+                avisos.push({ uid, tipo: 'Reprogramación', mensaje: `Tu cita para ${titulo} fue reprogramada para el ${propuesta}.` });
+            } else if (reprogramacion.estado === 'rechazada') {
+                const original = fechaLegible(newData.fecha.toDate(), zona_horaria);
+                avisos.push({ uid, tipo: 'Reprogramación', mensaje: `No fue posible mover tu cita de ${titulo}. Se mantiene el ${original}.` });
+            }
         }
+
+        for (const aviso of avisos) {
+            await notificarUsuario(aviso.uid, titulo, aviso.tipo, aviso.mensaje, imagen, { cita_id: context.params.citaId });
+        }
+        return null;
+    });
+
+// Un bloque liberado (rechazo, cancelación o reprogramación aceptada) se ofrece a la lista de espera
+exports.ofrecerBloqueLiberado = functions.firestore
+    .document('Citas/{citaId}')
+    .onUpdate(async (change, context) => {
+        const antes = change.before.data();
+        const despues = change.after.data();
+        if (!antes.fecha || !antes.agenda_id) return null;
+
+        const estadoAntes = estadoCita(antes);
+        const liberada = ESTADOS_QUE_LIBERAN_AGENDA.includes(estadoCita(despues)) && !ESTADOS_QUE_LIBERAN_AGENDA.includes(estadoAntes);
+        const movida = !liberada && despues.fecha && !despues.fecha.isEqual(antes.fecha);
+        if (!liberada && !movida) return null;
+        if (!['espera', 'aceptada'].includes(estadoAntes)) return null;
+
+        const horario = await obtenerHorario();
+        const slot = slotDeCita(antes, horario);
+        const ofrecida = await ofrecerSlot(antes.escenario_id, diaLocal(slot.inicio, horario.zona_horaria), slot);
+        if (ofrecida) console.log(`Bloque de la cita ${context.params.citaId} ofrecido a ${ofrecida}.`);
+        return null;
+    });
+
+// Al marcar la sesión como atendida se invita al cliente a calificar el escenario y la sesión
+exports.invitarResena = functions.firestore
+    .document('Citas/{citaId}')
+    .onUpdate(async (change, context) => {
+        const antes = change.before.data();
+        const despues = change.after.data();
+        if (despues.estado_atendida !== 'atendida' || antes.estado_atendida === 'atendida') return null;
+        if (!despues.uid_cliente || despues.uid_cliente === UID_ANONIMO) return null;
+
+        const mensaje = `¿Cómo te fue en tu sesión de ${despues.escenario_nombre || "fotos"}? Califica el escenario y la sesión.`;
+        await notificarUsuario(despues.uid_cliente, "Cuéntanos cómo te fue", 'resena', mensaje, despues.escenario_img_principal || null, { cita_id: context.params.citaId });
         return null;
     });
 
@@ -476,84 +4690,448 @@ exports.notificarNuevoEscenario = functions.firestore
     .onCreate(async (snap, context) => {
         const escenario = snap.data();
         const devices = await db.collection('Dispositivos').where('activo', '==', true).get();
-        const tokens = devices.docs.map(d => d.data().token_fcm).filter(t => t);
+        const notificacion = {
+            titulo: '¡Nuevo Escenario!',
+            mensaje: `Ven a conocer "${escenario.nombre}"`,
+            imagen: escenario.img_principal
+        };
+        const data = { escenario_id: context.params.escenarioId };
+        const destinatarios = await filtrarPorPreferencias(devices.docs, 'nuevo_escenario', { clave: `escenario_${context.params.escenarioId}`, notificacion, data });
+
+        const resultado = await enviarPush(destinatarios, notificacion, data);
+
+        console.log(`Nuevo escenario notificado: ${resultado.exitosos} enviados, ${resultado.desactivados} tokens desactivados.`);
+        return null;
+    });
+
+exports.indexarEscenario = functions.firestore
+    .document('Escenarios/{escenarioId}')
+    .onWrite(async (change, context) => {
+        if (!change.after.exists) return null;
+        const escenario = change.after.data();
+        const tokens = tokensBusqueda(escenario);
+
+        // Evita el bucle: la propia escritura de los tokens vuelve a disparar este trigger
+        const actuales = escenario.busqueda_tokens || [];
+        if (actuales.length === tokens.length && actuales.every((t, i) => t === tokens[i])) return null;
+
+        await change.after.ref.update({ busqueda_tokens: tokens });
+        return null;
+    });
+
+exports.procesarImagen = functions
+    .runWith({ memory: '1GB', timeoutSeconds: 120 })
+    .storage.object()
+    .onFinalize(async (object) => {
+        const ruta = object.name;
+        const partes = ruta.split('/');
+        const esEscenario = partes[0] === 'escenarios' && partes.length === 2;
+        const esFotoEntregada = partes[0] === 'fotos' && partes.length === 3;
+
+        // Las variantes viven en subcarpetas y el original reescrito ya viene marcado
+        if ((!esEscenario && !esFotoEntregada) || object.metadata?.procesado === 'true') return null;
 
-        const payload = {
-            notification: {
-                title: '¡Nuevo Escenario!',
-                body: `Ven a conocer "${escenario.nombre}"`,
-                image: escenario.img_principal || ""
+        const archivo = storage.bucket(object.bucket).file(ruta);
+
+        // Regla: solo imágenes y con tamaño limitado
+        if (!object.contentType?.startsWith('image/') || Number(object.size) > MAX_BYTES_IMAGEN) {
+            console.warn(`Archivo rechazado ${ruta} (${object.contentType}, ${object.size} bytes)`);
+            await archivo.delete().catch(e => console.warn(`No se pudo borrar ${ruta}:`, e.message));
+            return null;
+        }
+
+        const [original] = await archivo.download();
+        const variantes = rutasVariantes(ruta);
+        let limpio;
+        try {
+            // rotate() aplica la orientación EXIF antes de que sharp descarte los metadatos (EXIF/GPS)
+            limpio = await sharp(original).rotate().toBuffer();
+            for (const [tipo, ancho] of Object.entries(TAMANOS_VARIANTES)) {
+                const buffer = await sharp(limpio)
+                    .resize({ width: ancho, withoutEnlargement: true })
+                    .jpeg({ quality: 80, mozjpeg: true })
+                    .toBuffer();
+                await storage.bucket(object.bucket).file(variantes[tipo]).save(buffer, {
+                    contentType: 'image/jpeg',
+                    metadata: { cacheControl: 'public, max-age=31536000', metadata: { original: ruta } }
+                });
             }
-        };
+        } catch (error) {
+            console.warn(`Imagen inválida ${ruta}:`, error.message);
+            await archivo.delete().catch(e => console.warn(`No se pudo borrar ${ruta}:`, e.message));
+            return null;
+        }
 
-        const batchSize = 500;
-        for (let i = 0; i < tokens.length; i += batchSize) {
-            const batchTokens = tokens.slice(i, i + batchSize);
-            await messaging.sendEachForMulticast({
-                tokens: batchTokens,
-                ...payload
+        await archivo.save(limpio, {
+            contentType: object.contentType,
+            metadata: { cacheControl: object.cacheControl, metadata: { ...object.metadata, procesado: 'true' } }
+        });
+
+        // El original ya quedó marcado: si el escenario se crea después, sincronizarVariantesEscenario lo encuentra
+        if (esEscenario) {
+            const [principal, galeria] = await Promise.all([
+                db.collection('Escenarios').where('img_principal', '==', ruta).get(),
+                db.collection('Escenarios').where('list_img', 'array-contains', ruta).get()
+            ]);
+            const ids = new Set();
+            for (const doc of [...principal.docs, ...galeria.docs]) {
+                if (ids.has(doc.id)) continue;
+                ids.add(doc.id);
+                await doc.ref.update(new admin.firestore.FieldPath('variantes', ruta), variantes);
+            }
+        } else {
+            const solicitudRef = db.collection('Solicitudes_Fotos').doc(partes[1]);
+            await db.runTransaction(async (tx) => {
+                const snap = await tx.get(solicitudRef);
+                if (!snap.exists) return;
+                tx.update(solicitudRef, { fotos_variantes: { ...(snap.data().fotos_variantes || {}), [ruta]: variantes } });
             });
         }
         return null;
     });
 
+// Completa las variantes de las imágenes que ya están procesadas y quita las de imágenes que el escenario dejó de usar
+exports.sincronizarVariantesEscenario = functions.firestore
+    .document('Escenarios/{escenarioId}')
+    .onWrite(async (change, context) => {
+        if (!change.after.exists) return null;
+        const escenario = change.after.data();
+        const rutas = [...new Set([escenario.img_principal, ...(escenario.list_img || [])].filter(r => r))];
+        const actuales = escenario.variantes || {};
+
+        const sobrantes = Object.keys(actuales).filter(r => !rutas.includes(r));
+        const nuevas = await variantesDeImagenes(rutas.filter(r => !actuales[r]));
+        if (!Object.keys(nuevas).length && !sobrantes.length) return null;
+
+        // Se escribe por ruta para no pisar lo que procesarImagen agregue al mismo tiempo
+        const cambios = [
+            ...Object.entries(nuevas).flatMap(([ruta, v]) => [new admin.firestore.FieldPath('variantes', ruta), v]),
+            ...sobrantes.flatMap(ruta => [new admin.firestore.FieldPath('variantes', ruta), admin.firestore.FieldValue.delete()])
+        ];
+        await change.after.ref.update(...cambios);
+        return null;
+    });
+
 exports.notificarFotosListas = functions.firestore
     .document('Solicitudes_Fotos/{solicitudId}')
     .onUpdate(async (change, context) => {
         const newData = change.after.data();
         const oldData = change.before.data();
 
-        if (newData.estado === 'entregado' && oldData.estado !== 'entregado') {
+        if (newData.estado === oldData.estado) return null;
+
+        const aviso = MENSAJES_SOLICITUD[newData.estado];
+        if (aviso) {
              const uid = newData.uid_cliente;
-             const msg = "Tus fotos ya están disponibles en la app.";
+             const msg = newData.estado === 'recibo_rechazado' && newData.motivo_estado
+                 ? `${aviso.mensaje} Motivo: ${newData.motivo_estado}`
+                 : aviso.mensaje;
              
-             await guardarNotificacion(uid, "Fotos Listas", "Info", msg);
+             await notificarUsuario(uid, aviso.titulo, "Info", msg, null, { solicitud_id: context.params.solicitudId });
+        }
+        return null;
+    });
 
-             const devices = await db.collection('Dispositivos').where('uid_usuario', '==', uid).get();
-             const tokens = devices.docs.map(d => d.data().token_fcm).filter(t => t);
-             
-             if (tokens.length > 0) {
-                 await messaging.sendEachForMulticast({
-                     tokens,
-                     notification: { title: "Fotos Listas", body: msg }
-                 });
-             }
+exports.planificarRecordatorios = functions.firestore
+    .document('Citas/{citaId}')
+    .onWrite(async (change, context) => {
+        const citaId = context.params.citaId;
+        const antes = change.before.exists ? change.before.data() : null;
+        const cita = change.after.exists ? change.after.data() : null;
+
+        const activa = cita && estadoCita(cita) === 'aceptada';
+        const estabaActiva = antes && estadoCita(antes) === 'aceptada';
+        const mismaFecha = antes && cita && antes.fecha?.isEqual(cita.fecha);
+        if (activa === estabaActiva && mismaFecha) return null;
+
+        const batch = db.batch();
+
+        // Cancelar lo pendiente si la cita ya no está aceptada o cambió de fecha
+        const pendientes = await db.collection('Recordatorios')
+            .where('cita_id', '==', citaId)
+            .where('estado', '==', 'pendiente')
+            .get();
+        pendientes.docs
+            .filter(d => !activa || !d.data().fecha_cita.isEqual(cita.fecha))
+            .forEach(d => batch.update(d.ref, { estado: 'cancelado', cancelado_en: admin.firestore.FieldValue.serverTimestamp() }));
+
+        if (activa) {
+            const { offsets_horas } = await obtenerConfigRecordatorios();
+            const ahora = Date.now();
+            const porPlanificar = offsets_horas
+                .map(offset => ({ offset, enviarEn: cita.fecha.toMillis() - offset * 3600000 }))
+                .filter(r => r.enviarEn > ahora);
+
+            if (porPlanificar.length) {
+                const refs = porPlanificar.map(r => recordatorioRef(citaId, cita.fecha, r.offset));
+                const existentes = await db.getAll(...refs);
+                porPlanificar.forEach((r, i) => {
+                    if (existentes[i].exists && existentes[i].data().estado !== 'cancelado') return;
+                    batch.set(refs[i], {
+                        cita_id: citaId,
+                        uid_cliente: cita.uid_cliente,
+                        fecha_cita: cita.fecha,
+                        offset_horas: r.offset,
+                        enviar_en: admin.firestore.Timestamp.fromMillis(r.enviarEn),
+                        estado: 'pendiente',
+                        createdAt: existentes[i].exists ? existentes[i].data().createdAt : admin.firestore.FieldValue.serverTimestamp(),
+                        ...(existentes[i].exists ? { reactivado_en: admin.firestore.FieldValue.serverTimestamp() } : {})
+                    });
+                });
+            }
+        }
+
+        await batch.commit();
+        return null;
+    });
+
+// Mantienen los contadores de Estadisticas para que el panel no tenga que recorrer las colecciones
+exports.estadisticasCitas = functions.firestore
+    .document('Citas/{citaId}')
+    .onWrite(async (change, context) => {
+        await aplicarDiferenciaEstadisticas(context.eventId, aportesCita(change.before.data()), aportesCita(change.after.data()));
+        return null;
+    });
+
+exports.estadisticasClientes = functions.firestore
+    .document('Clientes/{clienteId}')
+    .onWrite(async (change, context) => {
+        await aplicarDiferenciaEstadisticas(context.eventId, aportesCliente(change.before), aportesCliente(change.after));
+        return null;
+    });
+
+exports.estadisticasSolicitudes = functions.firestore
+    .document('Solicitudes_Fotos/{solicitudId}')
+    .onWrite(async (change, context) => {
+        await aplicarDiferenciaEstadisticas(context.eventId, aportesSolicitud(change.before.data()), aportesSolicitud(change.after.data()));
+        return null;
+    });
+
+exports.enviarRecordatorios = functions.pubsub.schedule('every 15 minutes')
+    .timeZone('America/Bogota')
+    .onRun(async (context) => {
+        const vencidos = await db.collection('Recordatorios')
+            .where('estado', '==', 'pendiente')
+            .where('enviar_en', '<=', admin.firestore.Timestamp.now())
+            .orderBy('enviar_en', 'asc')
+            .limit(200)
+            .get();
+
+        const { zona_horaria } = await obtenerHorario();
+        let enviados = 0;
+
+        for (const doc of vencidos.docs) {
+            // Se marca como enviado antes de enviar: si dos ejecuciones se cruzan, solo una lo toma
+            const tomado = await db.runTransaction(async (tx) => {
+                const actual = await tx.get(doc.ref);
+                if (actual.data().estado !== 'pendiente') return null;
+
+                const citaSnap = await tx.get(db.collection('Citas').doc(actual.data().cita_id));
+                const cita = citaSnap.exists ? citaSnap.data() : null;
+                const vigente = cita && estadoCita(cita) === 'aceptada' &&
+                    cita.fecha.isEqual(actual.data().fecha_cita) && cita.fecha.toMillis() > Date.now();
+
+                tx.update(doc.ref, vigente
+                    ? { estado: 'enviado', enviado_en: admin.firestore.FieldValue.serverTimestamp() }
+                    : { estado: 'cancelado', cancelado_en: admin.firestore.FieldValue.serverTimestamp() });
+                return vigente ? cita : null;
+            });
+            if (!tomado) continue;
+
+            const uid = tomado.uid_cliente;
+            const bodyMsg = `Recuerda tu cita en ${tomado.escenario_nombre} el ${fechaLegible(tomado.fecha.toDate(), zona_horaria)}.`;
+
+            await notificarUsuario(uid, "Recordatorio de Cita", "recordatorio", bodyMsg, null, { cita_id: doc.data().cita_id });
+            enviados++;
         }
+
+        console.log(`Recordatorios enviados: ${enviados}.`);
         return null;
     });
 
-exports.recordatorioDiario = functions.pubsub.schedule('0 9 * * *')
-    .timeZone('America/Bogota') 
+exports.expirarOfertasListaEspera = functions.pubsub.schedule('every 5 minutes')
+    .timeZone('America/Bogota')
     .onRun(async (context) => {
-        const hoy = startOfDay(new Date());
-        const limite = endOfDay(addDays(hoy, 2));
+        const vencidas = await db.collection('Lista_Espera')
+            .where('estado', '==', 'ofertada')
+            .where('oferta.expira_en', '<=', admin.firestore.Timestamp.now())
+            .orderBy('oferta.expira_en', 'asc')
+            .limit(100)
+            .get();
+
+        let pasadas = 0;
+        for (const doc of vencidas.docs) {
+            // Se marca en una transacción: si el cliente reclamó justo antes, la entrada ya no está ofertada
+            const entrada = await db.runTransaction(async (tx) => {
+                const actual = await tx.get(doc.ref);
+                if (actual.data().estado !== 'ofertada') return null;
+                tx.update(doc.ref, { estado: 'expirada', updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+                return actual.data();
+            });
+            if (!entrada) continue;
+
+            await ofrecerSlot(entrada.escenario_id, entrada.dia, slotDeOferta(entrada.oferta), claveListaEspera(doc.id));
+            pasadas++;
+        }
 
-        const citasSnap = await db.collection('Citas')
-            .where('fecha', '>=', hoy)
-            .where('fecha', '<=', limite)
-            .where('estado_solicitud', '==', 'aceptada')
+        // Las entradas de días que ya pasaron no van a recibir oferta
+        const hoy = diaLocal(new Date(), (await obtenerHorario()).zona_horaria);
+        const viejas = await db.collection('Lista_Espera')
+            .where('estado', '==', 'esperando')
+            .where('dia', '<', hoy)
+            .limit(TAMANO_PAGINA)
             .get();
+        const batch = db.batch();
+        viejas.docs.forEach(d => batch.update(d.ref, { estado: 'expirada', updatedAt: admin.firestore.FieldValue.serverTimestamp() }));
+        await batch.commit();
 
-        for (const doc of citasSnap.docs) {
-            const cita = doc.data();
-            const uid = cita.uid_cliente;
-            const escenario = cita.escenario_nombre;
-
-            const devices = await db.collection('Dispositivos').where('uid_usuario', '==', uid).get();
-            const tokens = devices.docs.map(d => d.data().token_fcm).filter(t => t);
-            
-            if (tokens.length > 0) {
-                const bodyMsg = `Recuerda tu cita próxima en ${escenario}`;
-                await messaging.sendEachForMulticast({
-                    tokens,
-                    notification: {
-                        title: "Recordatorio de Cita",
-                        body: bodyMsg
-                    }
-                });
-                await guardarNotificacion(uid, "Recordatorio", "recordatorio", bodyMsg);
+        console.log(`Ofertas de lista de espera expiradas: ${pasadas}. Entradas de días pasados: ${viejas.size}.`);
+        return null;
+    });
+
+exports.enviarPushDiferidos = functions.pubsub.schedule('every 15 minutes')
+    .timeZone('America/Bogota')
+    .onRun(async (context) => {
+        const enviados = await enviarPushDiferidos();
+        console.log(`Push diferidos enviados: ${enviados}.`);
+        return null;
+    });
+
+exports.ejecutarMigraciones = functions
+    .runWith({ timeoutSeconds: 540, memory: '512MB' })
+    .pubsub.schedule('every 60 minutes')
+    .timeZone('America/Bogota')
+    .onRun(async (context) => {
+        await ejecutarMigracionesPendientes();
+        return null;
+    });
+
+exports.enviarCampanas = functions
+    .runWith({ timeoutSeconds: 540, memory: '512MB' })
+    .pubsub.schedule('every 5 minutes')
+    .timeZone('America/Bogota')
+    .onRun(async (context) => {
+        const listas = await db.collection('Campanas')
+            .where('estado', '==', 'programada')
+            .where('programada_para', '<=', admin.firestore.Timestamp.now())
+            .orderBy('programada_para', 'asc')
+            .limit(5)
+            .get();
+
+        for (const doc of listas.docs) {
+            // Se toma la campaña en una transacción para que dos ejecuciones no la envíen dos veces
+            const campana = await db.runTransaction(async (tx) => {
+                const actual = await tx.get(doc.ref);
+                if (actual.data().estado !== 'programada') return null;
+                tx.update(doc.ref, { estado: 'enviando', iniciada_en: admin.firestore.FieldValue.serverTimestamp() });
+                return actual.data();
+            });
+            if (!campana) continue;
+
+            try {
+                await procesarCampana(doc.ref, campana);
+                await doc.ref.update({ estado: 'enviada', enviada_en: admin.firestore.FieldValue.serverTimestamp(), updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+            } catch (error) {
+                console.error(`Error enviando campaña ${doc.id}:`, error);
+                await doc.ref.update({ estado: 'error', error: error.message, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+            }
+        }
+        return null;
+    });
+
+exports.limpiezaStorageProgramada = functions
+    .runWith({ timeoutSeconds: 540, memory: '512MB' })
+    .pubsub.schedule('0 3 * * *')
+    .timeZone('America/Bogota')
+    .onRun(async (context) => {
+        const doc = await db.collection('Configuracion').doc('limpieza_storage').get();
+        const config = { ...LIMPIEZA_POR_DEFECTO, ...(doc.exists ? doc.data() : {}) };
+
+        const reporte = await limpiarStorageHuerfanos({ dryRun: config.dry_run, graciaHoras: config.gracia_horas });
+        console.log(`Limpieza de Storage${reporte.dry_run ? ' (dry-run)' : ''}: ${reporte.archivos} archivos, ${reporte.bytes} bytes.`);
+        return null;
+    });
+
+exports.archivarFotosExpiradas = functions
+    .runWith({ timeoutSeconds: 540, memory: '512MB' })
+    .pubsub.schedule('30 3 * * *')
+    .timeZone('America/Bogota')
+    .onRun(async (context) => {
+        const expiradas = await db.collection('Solicitudes_Fotos')
+            .where('expira_en', '<=', admin.firestore.Timestamp.now())
+            .orderBy('expira_en', 'asc')
+            .limit(100)
+            .get();
+
+        const bucket = storage.bucket();
+        let archivadas = 0;
+
+        for (const doc of expiradas.docs) {
+            if (doc.data().archivada) continue;
+
+            // Se mueven a archivo/ con clase ARCHIVE: dejan de ser accesibles pero no se pierden
+            const [files] = await bucket.getFiles({ prefix: `fotos/${doc.id}/` });
+            for (const file of files) {
+                const copia = bucket.file(`archivo/${file.name}`);
+                await file.copy(copia);
+                await copia.setStorageClass('ARCHIVE');
+                await file.delete();
             }
+            if (doc.data().zip?.ruta) await borrarImagenStorage(doc.data().zip.ruta);
+
+            await doc.ref.update({
+                archivada: true,
+                archivada_en: admin.firestore.FieldValue.serverTimestamp(),
+                // expira_en se mueve para que la solicitud no vuelva a salir en esta consulta
+                expiro_en: doc.data().expira_en,
+                expira_en: admin.firestore.FieldValue.delete(),
+                zip: admin.firestore.FieldValue.delete()
+            });
+            archivadas++;
+        }
+
+        console.log(`Solicitudes de fotos archivadas: ${archivadas}.`);
+        return null;
+    });
+
+// Ejecuta las eliminaciones de cuenta cuyo periodo de gracia terminó y deja un reporte para el admin
+exports.procesarEliminacionesCuenta = functions
+    .runWith({ timeoutSeconds: 540, memory: '512MB' })
+    .pubsub.schedule('0 4 * * *')
+    .timeZone('America/Bogota')
+    .onRun(async (context) => {
+        const vencidas = await db.collection('Solicitudes_Eliminacion')
+            .where('estado', '==', 'programada')
+            .where('ejecutar_en', '<=', admin.firestore.Timestamp.now())
+            .orderBy('ejecutar_en', 'asc')
+            .limit(MAX_ELIMINACIONES_POR_CORRIDA)
+            .get();
+
+        for (const doc of vencidas.docs) {
+            // Se marca en proceso dentro de una transacción por si el cliente la canceló en este instante
+            const tomada = await db.runTransaction(async (tx) => {
+                const snap = await tx.get(doc.ref);
+                if (snap.data().estado !== 'programada') return false;
+                tx.update(doc.ref, { estado: 'en_proceso', iniciada_en: admin.firestore.FieldValue.serverTimestamp() });
+                return true;
+            });
+            if (!tomada) continue;
+
+            const resultado = await borrarDatosCliente(doc.id);
+            const reporte = await db.collection('Reportes_Eliminacion').add({
+                uid: doc.id,
+                solicitada_por: doc.data().solicitada_por,
+                solicitada_en: doc.data().solicitada_en,
+                ...resultado,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            await doc.ref.update({
+                estado: resultado.errores.length ? 'con_errores' : 'completada',
+                reporte_id: reporte.id,
+                completada_en: admin.firestore.FieldValue.serverTimestamp()
+            });
         }
-        console.log('Recordatorios enviados con éxito.');
+
+        console.log(`Eliminaciones de cuenta procesadas: ${vencidas.size}.`);
         return null;
     });
@@ -0,0 +1,233 @@
+const admin = require("firebase-admin");
+const { TZDate } = require("@date-fns/tz");
+const { minutosDelDia } = require("./horas");
+
+const db = admin.firestore();
+const messaging = admin.messaging();
+
+const TAMANO_LOTE_FCM = 500;
+const TAMANO_LOTE_LECTURA = 100;
+
+// Tipos que el cliente puede silenciar desde sus preferencias
+const TIPOS_NOTIFICACION = ['Confirmación', 'Reprogramación', 'Info', 'recordatorio', 'nuevo_escenario', 'promocion', 'lista_espera', 'resena'];
+
+// Errores de FCM que indican que el token ya no sirve y no vale la pena reintentar
+const ERRORES_TOKEN_MUERTO = [
+    'messaging/registration-token-not-registered',
+    'messaging/invalid-registration-token'
+];
+
+async function guardarNotificacion(uid, titulo, tipo, mensaje, imagen = null) {
+    try {
+        return await db.collection('Notificaciones').add({
+            uid_usuario: uid,
+            titulo,
+            tipo,
+            mensaje,
+            imagen,
+            leida: false,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    } catch (e) {
+        console.error("Error guardando notificación db:", e);
+    }
+}
+
+async function dispositivosActivos(uid) {
+    const snap = await db.collection('Dispositivos')
+        .where('uid_usuario', '==', uid)
+        .where('activo', '==', true)
+        .get();
+    return snap.docs;
+}
+
+function enHorarioSilencio(silencio, ahora = new Date()) {
+    if (!silencio?.inicio || !silencio?.fin) return false;
+    const local = new TZDate(ahora, silencio.zona_horaria || 'America/Bogota');
+    const actual = local.getHours() * 60 + local.getMinutes();
+    const inicio = minutosDelDia(silencio.inicio);
+    const fin = minutosDelDia(silencio.fin);
+    // Un rango como 22:00-07:00 cruza la medianoche
+    return inicio <= fin ? actual >= inicio && actual < fin : actual >= inicio || actual < fin;
+}
+
+// Momento en que termina la ventana de silencio que está corriendo
+function finHorarioSilencio(silencio, ahora = new Date()) {
+    const zona = silencio.zona_horaria || 'America/Bogota';
+    const local = new TZDate(ahora, zona);
+    const fin = minutosDelDia(silencio.fin);
+    const limite = new TZDate(local.getFullYear(), local.getMonth(), local.getDate(), Math.floor(fin / 60), fin % 60, zona);
+    if (limite.getTime() <= ahora.getTime()) limite.setDate(limite.getDate() + 1);
+    return new Date(limite.getTime());
+}
+
+// El push en horario de silencio no se pierde: queda en Push_Diferidos hasta que termina la ventana.
+// La clave evita encolar dos veces el mismo envío para un usuario (varios dispositivos, reintentos)
+async function diferirPush(uid, silencio, clave, tipo, notificacion, data = {}, notificacionId = null) {
+    await db.collection('Push_Diferidos').doc(`${clave}_${uid}`).set({
+        uid_usuario: uid,
+        tipo: tipo || null,
+        titulo: notificacion.titulo,
+        mensaje: notificacion.mensaje,
+        imagen: notificacion.imagen || null,
+        data,
+        notificacion_id: notificacionId,
+        estado: 'pendiente',
+        enviar_en: admin.firestore.Timestamp.fromDate(finHorarioSilencio(silencio)),
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+// null si el push se puede enviar, o el motivo por el que se omite
+function motivoOmision(cliente, tipo) {
+    const preferencias = cliente?.preferencias_notificaciones;
+    if (!preferencias) return null;
+    if (tipo && preferencias.tipos?.[tipo] === false) return 'tipo_desactivado';
+    if (enHorarioSilencio(preferencias.horario_silencio)) return 'horario_silencio';
+    return null;
+}
+
+// Descarta los dispositivos cuyos dueños silenciaron el tipo o están en horario de silencio.
+// Con diferir ({ clave, notificacion, data }) a los que están en silencio se les encola el push para después
+async function filtrarPorPreferencias(dispositivos, tipo, diferir = null) {
+    const uids = [...new Set(dispositivos.map(d => d.data().uid_usuario).filter(u => u))];
+    const omitidos = new Set();
+
+    for (let i = 0; i < uids.length; i += TAMANO_LOTE_LECTURA) {
+        const refs = uids.slice(i, i + TAMANO_LOTE_LECTURA).map(uid => db.collection('Clientes').doc(uid));
+        const clientes = await db.getAll(...refs);
+        for (const c of clientes) {
+            const motivo = c.exists ? motivoOmision(c.data(), tipo) : null;
+            if (!motivo) continue;
+            omitidos.add(c.id);
+            if (diferir && motivo === 'horario_silencio') {
+                await diferirPush(c.id, c.data().preferencias_notificaciones.horario_silencio, diferir.clave, tipo, diferir.notificacion, diferir.data);
+            }
+        }
+    }
+    return dispositivos.filter(d => !omitidos.has(d.data().uid_usuario));
+}
+
+// Envía el push a los documentos de Dispositivos en lotes de 500 y desactiva los tokens muertos
+async function enviarPush(dispositivos, notificacion, data = {}) {
+    const resultado = { exitosos: 0, fallidos: 0, desactivados: 0 };
+    const conToken = dispositivos.filter(d => d.data().token_fcm);
+
+    const notification = { title: notificacion.titulo, body: notificacion.mensaje };
+    if (notificacion.imagen) notification.image = notificacion.imagen;
+
+    for (let i = 0; i < conToken.length; i += TAMANO_LOTE_FCM) {
+        const lote = conToken.slice(i, i + TAMANO_LOTE_FCM);
+        let respuesta;
+        try {
+            respuesta = await messaging.sendEachForMulticast({
+                tokens: lote.map(d => d.data().token_fcm),
+                notification,
+                data
+            });
+        } catch (error) {
+            console.error("Error enviando lote FCM:", error.message);
+            resultado.fallidos += lote.length;
+            continue;
+        }
+
+        resultado.exitosos += respuesta.successCount;
+        resultado.fallidos += respuesta.failureCount;
+
+        const batch = db.batch();
+        let muertos = 0;
+        respuesta.responses.forEach((r, idx) => {
+            if (r.success || !ERRORES_TOKEN_MUERTO.includes(r.error?.code)) return;
+            batch.update(lote[idx].ref, {
+                activo: false,
+                motivo_inactivo: r.error.code,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            muertos++;
+        });
+        if (muertos) await batch.commit();
+        resultado.desactivados += muertos;
+    }
+    return resultado;
+}
+
+// Registra la notificación en la bandeja del usuario y la envía como push en una sola llamada
+async function notificarUsuario(uid, titulo, tipo, mensaje, imagen = null, data = {}) {
+    const notificacionRef = await guardarNotificacion(uid, titulo, tipo, mensaje, imagen);
+    const cliente = await db.collection('Clientes').doc(uid).get();
+    const omitido = motivoOmision(cliente.data(), tipo);
+
+    // La notificación queda en la bandeja aunque el push se omita por preferencias
+    const dispositivos = omitido ? [] : await dispositivosActivos(uid);
+    const entrega = await enviarPush(dispositivos, { titulo, mensaje, imagen }, data);
+    if (omitido) entrega.omitido = omitido;
+    if (omitido === 'horario_silencio') {
+        const clave = notificacionRef ? notificacionRef.id : db.collection('Push_Diferidos').doc().id;
+        await diferirPush(uid, cliente.data().preferencias_notificaciones.horario_silencio, clave, tipo, { titulo, mensaje, imagen }, data, notificacionRef?.id || null);
+        entrega.diferido = true;
+    }
+
+    if (notificacionRef) {
+        await notificacionRef.update({
+            entrega: {
+                ...entrega,
+                dispositivos: dispositivos.length,
+                enviado_en: admin.firestore.FieldValue.serverTimestamp()
+            }
+        }).catch(e => console.error("Error guardando entrega:", e.message));
+    }
+    return entrega;
+}
+
+// Envía los push diferidos cuya ventana de silencio ya terminó
+async function enviarPushDiferidos(limite = 200) {
+    const vencidos = await db.collection('Push_Diferidos')
+        .where('estado', '==', 'pendiente')
+        .where('enviar_en', '<=', admin.firestore.Timestamp.now())
+        .orderBy('enviar_en', 'asc')
+        .limit(limite)
+        .get();
+
+    let enviados = 0;
+    for (const doc of vencidos.docs) {
+        // Se toma en una transacción para que dos ejecuciones no lo envíen dos veces
+        const pendiente = await db.runTransaction(async (tx) => {
+            const actual = await tx.get(doc.ref);
+            if (actual.data()?.estado !== 'pendiente') return null;
+            tx.update(doc.ref, { estado: 'enviado', enviado_en: admin.firestore.FieldValue.serverTimestamp() });
+            return actual.data();
+        });
+        if (!pendiente) continue;
+
+        // Las preferencias pueden haber cambiado mientras esperaba
+        const cliente = await db.collection('Clientes').doc(pendiente.uid_usuario).get();
+        const omitido = motivoOmision(cliente.data(), pendiente.tipo);
+        if (omitido === 'horario_silencio') {
+            await doc.ref.update({ estado: 'pendiente', enviar_en: admin.firestore.Timestamp.fromDate(finHorarioSilencio(cliente.data().preferencias_notificaciones.horario_silencio)) });
+            continue;
+        }
+        if (omitido) {
+            await doc.ref.update({ estado: 'omitido', motivo: omitido });
+            continue;
+        }
+
+        const dispositivos = await dispositivosActivos(pendiente.uid_usuario);
+        const entrega = await enviarPush(dispositivos, pendiente, pendiente.data || {});
+        if (pendiente.notificacion_id) {
+            await db.collection('Notificaciones').doc(pendiente.notificacion_id).update({
+                entrega: { ...entrega, dispositivos: dispositivos.length, diferido: true, enviado_en: admin.firestore.FieldValue.serverTimestamp() }
+            }).catch(e => console.error("Error guardando entrega diferida:", e.message));
+        }
+        enviados++;
+    }
+    return enviados;
+}
+
+module.exports = {
+    TIPOS_NOTIFICACION,
+    guardarNotificacion,
+    filtrarPorPreferencias,
+    enviarPush,
+    notificarUsuario,
+    enviarPushDiferidos
+};
@@ -0,0 +1,69 @@
+// index.js usa la API v1 de firebase-functions
+jest.mock('firebase-functions', () => jest.requireActual('firebase-functions/v1'));
+
+process.env.GCLOUD_PROJECT = 'enfoque-test';
+const pruebas = require('firebase-functions-test')({ projectId: 'enfoque-test' });
+const admin = require('firebase-admin');
+const funciones = require('../index');
+
+describe('reenviarReciboSolicitud', () => {
+    const db = admin.firestore();
+    let escrituras;
+
+    beforeEach(() => {
+        escrituras = [];
+        // La transacción lee una solicitud rechazada y confirma con el serializador real del SDK
+        jest.spyOn(db, 'initializeIfNeeded').mockResolvedValue();
+        jest.spyOn(db, 'request').mockImplementation(async (metodo, peticion) => {
+            escrituras.push(...peticion.writes);
+            return { writeResults: [], commitTime: { seconds: 0, nanos: 0 } };
+        });
+        jest.spyOn(db, 'runTransaction').mockImplementation(async (actualizar) => {
+            const batch = db.batch();
+            const tx = {
+                get: async (ref) => ({
+                    exists: true,
+                    ref,
+                    data: () => ({
+                        uid_cliente: 'cliente-1',
+                        estado: 'recibo_rechazado',
+                        recibo_url: 'recibos/cliente-1/viejo.jpg',
+                        monto: 50000,
+                        metodo_pago: 'transferencia',
+                        referencia_pago: 'ABC-1',
+                        motivo_estado: 'Ilegible'
+                    })
+                }),
+                set: (...args) => { batch.set(...args); return tx; },
+                update: (...args) => { batch.update(...args); return tx; }
+            };
+            const resultado = await actualizar(tx);
+            await batch.commit();
+            return resultado;
+        });
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+    afterAll(() => pruebas.cleanup());
+
+    test('guarda el recibo nuevo y deja el anterior en recibos_anteriores', async () => {
+        const reenviar = pruebas.wrap(funciones.reenviarReciboSolicitud);
+        const respuesta = await reenviar({
+            id: 'solicitud-1',
+            recibo_url: 'recibos/cliente-1/nuevo.jpg',
+            monto: 50000,
+            metodo_pago: 'transferencia',
+            referencia_pago: 'ABC-2'
+        }, { auth: { uid: 'cliente-1' } });
+
+        expect(respuesta).toEqual({ success: true });
+        const solicitud = escrituras.find(w => w.update.name.endsWith('/Solicitudes_Fotos/solicitud-1'));
+        expect(solicitud.update.fields.recibo_url.stringValue).toBe('recibos/cliente-1/nuevo.jpg');
+        expect(solicitud.updateTransforms[0].fieldPath).toBe('recibos_anteriores');
+
+        const historial = escrituras.find(w => w.update.name.includes('/solicitud-1/historial/'));
+        const cambios = historial.update.fields.cambios.mapValue.fields;
+        expect(cambios.recibo_url.stringValue).toBe('recibos/cliente-1/nuevo.jpg');
+        expect(cambios.recibos_anteriores).toBeUndefined();
+    });
+});